@@ -0,0 +1,82 @@
+// api/analytics.js
+//
+// Fleet utilisation and occupancy for a period.
+//
+// Query params:
+// - from=YYYY-MM-DD&to=YYYY-MM-DD or start=YYYY-MM-DD&days=N   (default: the last 28 days; max 92)
+// - minRentableGapHours=N
+// - location=<key>   (opening hours used for utilisation; that location's cars
+//                     when config/fleet.json has it)
+// - category=<key>   (only cars in that category)
+//
+// Per car and fleet-wide: booked hours, utilisation against opening hours,
+// rentals, average rental length, average idle gap and gaps too short to rent,
+// plus weekly and per-weekday breakdowns. See lib/analytics.js for definitions.
+//
+// Staff only (lib/auth.js).
+
+import { fleetAnalytics } from "../lib/analytics.js";
+import { minRentableGapHoursFromQuery } from "../lib/availability.js";
+import { requireStaff } from "../lib/auth.js";
+import { booqableCredentials, createBooqableClient } from "../lib/booqable.js";
+import { missingCredentialsError } from "../lib/errors.js";
+import { createDebug, loadFleetWindow } from "../lib/fleet.js";
+import { fleetFilterFromQuery } from "../lib/fleetConfig.js";
+import { businessHoursFromQuery } from "../lib/hours.js";
+import { sendError, sendJson } from "../lib/http.js";
+import { withMetrics } from "../lib/metrics.js";
+import { hasWindowParams, parseWindowQuery } from "../lib/window.js";
+
+const DEFAULT_PERIOD_DAYS = 28;
+const MAX_PERIOD_DAYS = 92;
+
+async function handler(req, res) {
+  try {
+    if (!requireStaff(req, res)) return;
+
+    const windowQuery = hasWindowParams(req.query)
+      ? parseWindowQuery(req.query, { maxDays: MAX_PERIOD_DAYS })
+      : { from: null, offsetDays: -(DEFAULT_PERIOD_DAYS - 1), days: DEFAULT_PERIOD_DAYS };
+    if (windowQuery.error) return sendJson(res, 400, { error: windowQuery.error });
+
+    const minRentableGapHours = minRentableGapHoursFromQuery(req.query);
+
+    const { hours, error: hoursError } = businessHoursFromQuery(req.query);
+    if (hoursError) return sendJson(res, 400, { error: hoursError });
+    const { filter, error: filterError } = fleetFilterFromQuery(req.query);
+    if (filterError) return sendJson(res, 400, { error: filterError });
+
+    const creds = booqableCredentials();
+    if (!creds) return sendError(res, missingCredentialsError());
+    const booqable = createBooqableClient(creds);
+    const debug = createDebug();
+
+    const { timezone, days, cars, intervalsByProduct } = await loadFleetWindow(
+      booqable,
+      windowQuery,
+      debug,
+      filter
+    );
+
+    return sendJson(
+      res,
+      200,
+      {
+        from: days[0].date,
+        to: days[days.length - 1].date,
+        timezone,
+        minRentableGapHours,
+        location: filter.location ?? hours.location,
+        category: filter.category,
+        planningsTruncated: debug.planningsTruncated,
+        partial: debug.planningsPartial,
+        ...fleetAnalytics({ cars, intervalsByProduct, days, minRentableGapHours, timezone, hours }),
+      },
+      debug.planningsPartial ? 0 : 60
+    );
+  } catch (e) {
+    return sendError(res, e);
+  }
+}
+
+export default withMetrics("analytics", handler);
@@ -0,0 +1,98 @@
+// api/availability.ics.js
+//
+// iCalendar feed of every car's bookings: /api/availability.ics
+// (one car: /api/availability/car/<slug>.ics, served via sendCarsCalendar)
+//
+// Query params:
+// - same from/to/start/days window as /api/availability
+//   (default for feeds: the last 7 days plus the next 31; max 38 days)
+// - buffers=1   show buffer time before/after bookings as separate blocks
+// - category=<key>, location=<key>   only those cars (config/fleet.json)
+//
+// Uses the same car filter and planning -> car mapping as the JSON output.
+//
+// Staff only: calendar apps can't log in, so subscribe with ?token=<feed token>
+// from POST /api/session { secret, feed: 1 }.
+
+import { requireStaff } from "../lib/auth.js";
+import { booqableCredentials, createBooqableClient } from "../lib/booqable.js";
+import { missingCredentialsError } from "../lib/errors.js";
+import { createDebug, findCar, loadFleetWindow } from "../lib/fleet.js";
+import { fleetFilterFromQuery } from "../lib/fleetConfig.js";
+import { sendError, sendJson, sendText } from "../lib/http.js";
+import { bookingEvents, buildCalendar } from "../lib/ics.js";
+import { withMetrics } from "../lib/metrics.js";
+import { MAX_RANGE_DAYS, hasWindowParams, parseWindowQuery } from "../lib/window.js";
+
+const ICS_PAST_DAYS = 7;
+const ICS_MAX_DAYS = ICS_PAST_DAYS + MAX_RANGE_DAYS;
+
+// Feed for the whole fleet, or one car when carParam (id or slug) is given.
+export async function sendCarsCalendar(req, res, carParam = null) {
+  try {
+    if (!requireStaff(req, res, { scopes: ["staff", "feed"] })) return;
+
+    const windowQuery = hasWindowParams(req.query)
+      ? parseWindowQuery(req.query, { maxDays: ICS_MAX_DAYS })
+      : { from: null, offsetDays: -ICS_PAST_DAYS, days: ICS_MAX_DAYS };
+    if (windowQuery.error) return sendJson(res, 400, { error: windowQuery.error });
+
+    const includeBuffers = req.query.buffers === "1" || req.query.buffers === "true";
+
+    const { filter, error: filterError } = fleetFilterFromQuery(req.query);
+    if (filterError) return sendJson(res, 400, { error: filterError });
+
+    const creds = booqableCredentials();
+    if (!creds) return sendError(res, missingCredentialsError());
+    const booqable = createBooqableClient(creds);
+    const debug = createDebug();
+
+    const { timezone, days, cars, intervalsByProduct } = await loadFleetWindow(
+      booqable,
+      windowQuery,
+      debug,
+      carParam ? null : filter
+    );
+
+    // Calendar apps delete events missing from a feed, so never publish a partial one
+    if (debug.planningsPartial || debug.planningsTruncated) {
+      return sendJson(res, 503, { error: "Booqable too slow to load every booking, try again shortly" });
+    }
+
+    let feedCars = cars;
+    if (carParam) {
+      const car = findCar(cars, carParam);
+      if (!car) return sendJson(res, 404, { error: `Unknown car '${carParam}'` });
+      feedCars = [car];
+    }
+
+    const events = feedCars.flatMap((car) =>
+      bookingEvents(car, intervalsByProduct.get(car.id) || [], {
+        company: creds.company,
+        includeBuffers,
+      })
+    );
+
+    const name = carParam ? `${feedCars[0].name} bookings` : "Bubblegum Cars bookings";
+    const body = buildCalendar({
+      name,
+      timezone,
+      events,
+      rangeStartMs: days[0].startUtcMs,
+      rangeEndMs: days[days.length - 1].endUtcMs,
+    });
+
+    const filename = carParam ? `${feedCars[0].slug || feedCars[0].id}.ics` : "availability.ics";
+    return sendText(res, 200, "text/calendar; charset=utf-8", body, 300, {
+      "Content-Disposition": `inline; filename="${filename}"`,
+    });
+  } catch (e) {
+    return sendError(res, e);
+  }
+}
+
+async function handler(req, res) {
+  return sendCarsCalendar(req, res, req.query.car || null);
+}
+
+export default withMetrics("availability.ics", handler);
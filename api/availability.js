@@ -2,590 +2,215 @@
 //
 // Bubblegum Cars staff availability (Booqable API v4)
 //
-// Fixes applied:
-// - Use JSON:API Accept header (often required for include/relationships to be populated)
-// - Filter /plannings by date range (reduces load + 429s)
-// - Map plannings to products via multiple strategies:
-//    A) planning -> order -> lines -> product
-//    B) planning -> product
-//    C) planning -> item -> product
-//    D) planning -> inventory_level -> product
-// - Exclude add-ons (e.g., Additional Driver(s)) by name/slug keywords
+// Booqable fetching and planning -> car mapping live in lib/fleet.js.
 //
 // Output:
-// - Day tiles show Booked/Heads-up/Available
+// - Day tiles show Booked/Heads-up/Available, or Out of service (with reason)
+//   when a maintenance block (api/maintenance.js) touches the day, or Overdue
+//   (due back, minutes late) while a car is still out past its return time;
+//   the car's `overdue` says the same for the whole window
 // - Booked tiles show From -> Until (pickup/return)
 // - Heads-up tiles show Back/Free times (return + buffer)
+// - Each day also lists every booking `segments` and rentable `freeGaps`
 // - Next available respects min rentable gap (default 4 hours)
 //
+// Query params:
+// - from=YYYY-MM-DD&to=YYYY-MM-DD  (inclusive local dates), or
+// - start=YYYY-MM-DD&days=N        (defaults: today, 4 days; max 31 days)
+// - minRentableGapHours=N
+// - location=<key>                 (opening hours override from config/business-hours.json,
+//                                   and only that location's cars from config/fleet.json)
+// - category=<key>                 (only cars in that category, config/fleet.json)
+// - format=csv[&layout=wide|long]  (spreadsheet export; long = one row per car-day-booking)
+// - debug=1                        (include the mapping `debug` object and `note`)
+//
+// Staff only (lib/auth.js). The public, redacted variant is /api/availability/public.
+//
+// Payloads are cached in the shared store (lib/cache.js). If Booqable fails,
+// the last good payload is served with stale: true, staleAgeSeconds and the
+// error's staleCode (lib/errors.js). If Booqable is too slow to fetch every
+// plannings page before the deadline, or a later page fails, the payload is
+// built from what arrived, flagged partial: true and not cached.
+// Booqable webhooks (api/webhooks/booqable.js) expire cached payloads at once.
+//
+// Complete payloads with default settings also feed the change feed snapshots
+// (lib/snapshots.js, /api/changes).
+//
 // Env vars required on Vercel:
 // - BOOQABLE_COMPANY_SLUG = bubblegum-cars
 // - BOOQABLE_ACCESS_TOKEN = <token>
 
-const RANGE_DAYS = 4;
-const PAGE_SIZE = 100;
-const MAX_PRODUCTS_PAGES = 10;
-const MAX_PLANNINGS_PAGES = 40;
-
-const CACHE_MS = 15_000; // reduce 429s
-let _cache = { at: 0, payload: null };
-
-const MIN_RENTABLE_GAP_HOURS_DEFAULT = 4;
-
-// Hard-exclude add-ons by keywords (you can add to this list)
-const EXCLUDE_KEYWORDS = [
-  "additional driver",
-  "add on",
-  "addon",
-  "accident excess",
-  "excess",
-  "insurance",
-];
-
-function sendJson(res, status, body, cacheSeconds = 0) {
-  res.statusCode = status;
-  res.setHeader("Content-Type", "application/json");
-  if (cacheSeconds > 0) {
-    res.setHeader("Cache-Control", `s-maxage=${cacheSeconds}, stale-while-revalidate=60`);
-  } else {
-    res.setHeader("Cache-Control", "no-store");
+import {
+  MIN_RENTABLE_GAP_HOURS_DEFAULT,
+  backAt,
+  dayFreeGaps,
+  daySegments,
+  minRentableGapHoursFromQuery,
+  nextAvailableFor,
+} from "../lib/availability.js";
+import { requireStaff } from "../lib/auth.js";
+import { booqableCredentials, createBooqableClient } from "../lib/booqable.js";
+import { PLANNINGS_TTL_MS, getFresh, getLastGood, put } from "../lib/cache.js";
+import { latestChange } from "../lib/changes.js";
+import { now } from "../lib/clock.js";
+import { describeError, missingCredentialsError } from "../lib/errors.js";
+import { createDebug, loadFleetWindow } from "../lib/fleet.js";
+import { fleetFilterFromQuery, fleetFilterKey } from "../lib/fleetConfig.js";
+import { CSV_LAYOUTS, availabilityCsv } from "../lib/csv.js";
+import { businessHoursFromQuery, roundToBusinessHours } from "../lib/hours.js";
+import { sendError, sendJson, sendText } from "../lib/http.js";
+import { withMetrics } from "../lib/metrics.js";
+import { isSnapshotWindow, saveSnapshot } from "../lib/snapshots.js";
+import { fmtInstant, fmtNextAvailable, fmtTime, overlap, tzOffsetMinutes } from "../lib/time.js";
+import { parseWindowQuery, windowCacheKey } from "../lib/window.js";
+
+// ?format=json|csv and ?layout=wide|long (csv only)
+function parseFormat(query) {
+  const type = String(query.format || "json").toLowerCase();
+  if (type !== "json" && type !== "csv") {
+    return { error: `Unknown format '${query.format}' (expected json or csv)` };
   }
-  res.end(JSON.stringify(body));
-}
-
-function sleep(ms) {
-  return new Promise((r) => setTimeout(r, ms));
-}
-
-// Parse Booqable datetime strings.
-// IMPORTANT: Booqable sends times with "+00:00" that are actually LOCAL times,
-// not UTC times. We must treat ALL timestamps as naive local times.
-function parseBooqableDate(str, accountOffsetMinutes) {
-  if (!str) return null;
-
-  // Strip any offset markers (+00:00, Z, etc) - Booqable times are always local
-  const naive = str.replace(/([zZ]|[+\-]\d{2}:\d{2})$/, "");
-  
-  // Interpret as local time, then convert to UTC by subtracting offset
-  const assumedUtc = new Date(naive + "Z");
-  if (isNaN(assumedUtc.getTime())) return null;
-  return new Date(assumedUtc.getTime() - accountOffsetMinutes * 60 * 1000);
-}
-
-function overlap(aStart, aEnd, bStart, bEnd) {
-  return aStart < bEnd && bStart < aEnd;
-}
-
-// Build UTC ms for "local midnight" using fixed offset minutes.
-function localMidnightUtcMs(baseUtcMs, offsetMinutes, addDays) {
-  const offMs = offsetMinutes * 60 * 1000;
-  const localMs = baseUtcMs + offMs;
-
-  const local = new Date(localMs);
-  const y = local.getUTCFullYear();
-  const m = local.getUTCMonth();
-  const d = local.getUTCDate() + addDays;
-
-  const localMidnightMs = Date.UTC(y, m, d, 0, 0, 0, 0);
-  return localMidnightMs - offMs;
-}
-
-function fmtDayLabel(dateObj, timezone) {
-  return new Intl.DateTimeFormat("en-AU", {
-    timeZone: timezone,
-    weekday: "short",
-    day: "2-digit",
-    month: "short",
-  }).format(dateObj);
-}
-
-function fmtISODate(dateObj, timezone) {
-  return new Intl.DateTimeFormat("en-CA", { timeZone: timezone }).format(dateObj);
-}
-
-function fmtTime(dateObj, timezone) {
-  return new Intl.DateTimeFormat("en-AU", {
-    timeZone: timezone,
-    hour: "2-digit",
-    minute: "2-digit",
-    hour12: false,
-  }).format(dateObj);
-}
-
-function fmtNextAvailable(dateObj, timezone) {
-  return `${fmtDayLabel(dateObj, timezone)} ${fmtTime(dateObj, timezone)}`;
-}
-
-// Round late evening/early morning returns to 9am
-// If return is between 6pm and 8:45am, round to 9am
-function roundToBusinessHours(utcMs, timezone, offsetMinutes) {
-  // Convert UTC ms to local time for checking
-  const localMs = utcMs + (offsetMinutes * 60 * 1000);
-  const localDate = new Date(localMs);
-  const hours = localDate.getUTCHours();
-  const minutes = localDate.getUTCMinutes();
-  
-  // Check if between 18:00 (6pm) and 08:45 (8:45am)
-  const isLateEvening = hours >= 18; // 6pm to midnight
-  const isEarlyMorning = hours < 8 || (hours === 8 && minutes <= 45); // midnight to 8:45am
-  
-  if (isLateEvening || isEarlyMorning) {
-    // Get the date in local timezone
-    const year = localDate.getUTCFullYear();
-    const month = localDate.getUTCMonth();
-    const day = localDate.getUTCDate();
-    
-    // If it's late evening (6pm-midnight), move to next day at 9am
-    // If it's early morning (midnight-8:45am), use same day at 9am
-    const targetDay = isLateEvening ? day + 1 : day;
-    
-    // Create 9am local time on the target day
-    const nineAmLocal = Date.UTC(year, month, targetDay, 9, 0, 0, 0);
-    
-    // Convert back to UTC
-    return nineAmLocal - (offsetMinutes * 60 * 1000);
+  const layout = String(query.layout || "wide").toLowerCase().replace("tidy", "long");
+  if (!CSV_LAYOUTS.includes(layout)) {
+    return { error: `Unknown layout '${query.layout}' (expected ${CSV_LAYOUTS.join(" or ")})` };
   }
-  
-  // Return as-is if during business hours
-  return utcMs;
+  const debug = query.debug === "1" || query.debug === "true";
+  return { type, layout, debug };
 }
 
-function addPaging(pathWithMaybeQuery, pageNumber) {
-  const join = pathWithMaybeQuery.includes("?") ? "&" : "?";
-  return `${pathWithMaybeQuery}${join}page[size]=${PAGE_SIZE}&page[number]=${pageNumber}`;
+// `debug` and `note` expose raw planning data: only sent when asked for.
+function sendPayload(res, payload, format, cacheSeconds = 10) {
+  if (!format.debug) {
+    const { debug, note, ...rest } = payload;
+    payload = rest;
+  }
+  if (format.type === "csv") {
+    const filename = `availability-${payload.from}-to-${payload.to}.csv`;
+    const csv = availabilityCsv(payload, format.layout);
+    return sendText(res, 200, "text/csv; charset=utf-8", csv, cacheSeconds, {
+      "Content-Disposition": `attachment; filename="${filename}"`,
+    });
+  }
+  return sendJson(res, 200, payload, cacheSeconds);
 }
 
-function containsExcludedKeyword(nameOrSlug) {
-  const s = (nameOrSlug || "").toLowerCase();
-  return EXCLUDE_KEYWORDS.some((k) => s.includes(k));
+// The car's overdue rental, if it's still out past its return time.
+function overdueFor(ivals, timezone) {
+  const iv = ivals.find((i) => i.overdue);
+  if (!iv) return null;
+  return {
+    planningId: iv.planningId,
+    orderNumber: iv.orderNumber,
+    dueBack: fmtInstant(iv.stopsRaw.getTime(), timezone),
+    minutesLate: iv.overdue.minutesLate,
+  };
 }
 
-export default async function handler(req, res) {
-  try {
-    const now = Date.now();
-    if (_cache.payload && now - _cache.at < CACHE_MS) {
-      return sendJson(res, 200, _cache.payload, 10);
-    }
-
-    const company = process.env.BOOQABLE_COMPANY_SLUG;
-    const token = process.env.BOOQABLE_ACCESS_TOKEN;
-
-    if (!company || !token) {
-      return sendJson(res, 500, {
-        error: "Missing BOOQABLE_COMPANY_SLUG or BOOQABLE_ACCESS_TOKEN",
-      });
-    }
-
-    const minRentableGapHours =
-      Number(req.query.minRentableGapHours || "") || MIN_RENTABLE_GAP_HOURS_DEFAULT;
-
-    async function booqable(path, attempt = 0) {
-      const url = `https://${company}.booqable.com/api/4${path}`;
-      const r = await fetch(url, {
-        headers: {
-          Authorization: `Bearer ${token}`,
-          Accept: "application/vnd.api+json",
-        },
-      });
+// Fetch from Booqable and build the JSON payload for one window.
+// forceSnapshot: take a change feed snapshot even if the last one is recent.
+export async function buildPayload({
+  booqable,
+  company,
+  windowQuery,
+  minRentableGapHours,
+  hours,
+  filter,
+  forceSnapshot = false,
+}) {
+  const debug = createDebug();
+
+  // 1-4) Settings, day windows, cars and their booked intervals
+  const { timezone, days, cars, intervalsByProduct } = await loadFleetWindow(
+    booqable,
+    windowQuery,
+    debug,
+    filter
+  );
+
+  // 5) Build response per car
+  const nowMs = now();
+  const outCars = [];
+
+  for (const car of cars) {
+    const ivals = intervalsByProduct.get(car.id) || [];
+
+    const { nextAvailable } = nextAvailableFor({
+      ivals,
+      nowMs,
+      timezone,
+      hours,
+      minRentableGapHours,
+    });
 
-      if (r.status === 429 && attempt < 7) {
-        const wait = 500 * Math.pow(2, attempt);
-        await sleep(wait);
-        return booqable(path, attempt + 1);
-      }
+    // tile status (first booking of the day; kept for existing pages)
+    const statusTile = (d) => {
+      const overlapsForDay = ivals.filter((iv) =>
+        overlap(iv.startMs, iv.endMs, d.startUtcMs, d.endUtcMs)
+      );
 
-      if (!r.ok) {
-        const t = await r.text();
-        throw new Error(`Booqable error ${r.status} for ${path} :: ${t}`);
+      // Out of service beats bookings: the car can't go out at all
+      const block = overlapsForDay.find((iv) => iv.maintenance);
+      if (block) {
+        return {
+          date: d.date,
+          label: d.label,
+          status: "Out of service",
+          reason: block.maintenance.reason,
+          outOfServiceFrom: fmtNextAvailable(block.startsRaw, timezone),
+          outOfServiceUntil: fmtNextAvailable(block.stopsRaw, timezone),
+        };
       }
 
-      return r.json();
-    }
-
-    const debug = {
-      timezone: null,
-      timezone_offset_minutes: null,
-      fetchedProducts: 0,
-      carProducts: 0,
-      fetchedPlannings: 0,
-      includedCounts: {},
-      relationshipKeyStats: {},
-      planningsMappedToCars: 0,
-      planningsDroppedNoRel: 0,
-      planningsDroppedUnknownCar: 0,
-      planningsDateRange: null,
-      sampleItemStructure: null,  // NEW: will capture first item's structure
-      samplePlanningStructure: null,  // NEW: will capture first planning's structure
-    };
-
-    // 1) Settings (timezone + offset)
-    const settings = await booqable("/settings/current");
-    const timezone = settings?.data?.attributes?.defaults?.timezone || "UTC";
-    const offsetMinutes = settings?.data?.attributes?.defaults?.timezone_offset || 0;
-    debug.timezone = timezone;
-    debug.timezone_offset_minutes = offsetMinutes;
-
-    // 2) Compute day windows (local midnights)
-    const baseUtcMs = Date.now();
-    const days = [];
-    for (let i = 0; i < RANGE_DAYS; i++) {
-      const startUtcMs = localMidnightUtcMs(baseUtcMs, offsetMinutes, i);
-      const endUtcMs = startUtcMs + 86400000;
-      const dateObj = new Date(startUtcMs);
-      days.push({
-        startUtcMs,
-        endUtcMs,
-        label: fmtDayLabel(dateObj, timezone),
-        date: fmtISODate(dateObj, timezone),
-      });
-    }
-
-    const fromIso = new Date(days[0].startUtcMs).toISOString();
-    const tillIso = new Date(days[days.length - 1].endUtcMs).toISOString();
-    debug.planningsDateRange = { fromIso, tillIso };
-
-    // 3) Products (cars)
-    const products = [];
-    for (let page = 1; page <= MAX_PRODUCTS_PAGES; page++) {
-      const path = addPaging("/products", page);
-      const out = await booqable(path);
-      const rows = out?.data || [];
-      products.push(...rows);
-      if (rows.length < PAGE_SIZE) break;
-    }
-    debug.fetchedProducts = products.length;
-
-    const cars = products
-      .filter((p) => {
-        const a = p.attributes || {};
-        const name = (a.name || "").trim();
-        const slug = a.slug || "";
-
-        // core car filter
-        const isCar =
-          a.product_type === "rental" &&
-          a.trackable === true &&
-          a.show_in_store === true;
-
-        // exclude add-ons by keywords in name/slug
-        if (containsExcludedKeyword(name) || containsExcludedKeyword(slug)) return false;
-
-        return isCar;
-      })
-      .map((p) => ({
-        id: p.id,
-        name: (p.attributes?.name || "").trim(),
-        slug: p.attributes?.slug,
-        photo_url: p.attributes?.photo_url,
-        buffer_before_s: p.attributes?.buffer_time_before || 0,
-        buffer_after_s: p.attributes?.buffer_time_after || 0,
-      }));
-
-    debug.carProducts = cars.length;
-
-    const carById = new Map(cars.map((c) => [c.id, c]));
-    const intervalsByProduct = new Map(cars.map((c) => [c.id, []]));
-
-    // 4) Plannings
-    //
-    // IMPORTANT: include must be on the SAME request, and JSON:API Accept must be set,
-    // otherwise "included" can come back empty and relationships might be sparse.
-    //
-    // We request multiple include paths, and then map plannings -> products using:
-    // - planning.relationships.order -> included order -> order.relationships.lines -> included line -> line.relationships.product
-    // - planning.relationships.product (if exists)
-    // - planning.relationships.item -> included item -> item.relationships.product
-    // - planning.relationships.inventory_level -> included inventory_level -> inventory_level.relationships.product
-    //
-    const includeParam = [
-      "order",
-      "order.lines",
-      "order.lines.product",
-      "product",
-      "item",
-      "item.product",
-      "inventory_level",
-      "inventory_level.product",
-    ].join(",");
-
-    const basePlanningsPath =
-      `/plannings?filter[starts_at][lte]=${encodeURIComponent(tillIso)}` +
-      `&filter[stops_at][gte]=${encodeURIComponent(fromIso)}` +
-      `&include=${encodeURIComponent(includeParam)}`;
-
-    // Store included by type:id
-    const includedByKey = new Map();
-    function indexIncluded(included) {
-      if (!Array.isArray(included)) return;
-      for (const inc of included) {
-        if (!inc?.type || !inc?.id) continue;
-        includedByKey.set(`${inc.type}:${inc.id}`, inc);
-        debug.includedCounts[inc.type] = (debug.includedCounts[inc.type] || 0) + 1;
+      // Still out past its return time: unavailable until checked in
+      const late = overlapsForDay.find((iv) => iv.overdue);
+      if (late) {
+        return {
+          date: d.date,
+          label: d.label,
+          status: "Overdue",
+          bookedFrom: fmtTime(late.startsRaw, timezone),
+          dueBack: fmtNextAvailable(late.stopsRaw, timezone),
+          minutesLate: late.overdue.minutesLate,
+          orderNumber: late.orderNumber,
+        };
       }
-    }
-
-    function getIncluded(type, id) {
-      return includedByKey.get(`${type}:${id}`) || null;
-    }
 
-    function statRelKeys(pl) {
-      const rel = pl?.relationships || {};
-      for (const k of Object.keys(rel)) {
-        debug.relationshipKeyStats[k] = (debug.relationshipKeyStats[k] || 0) + 1;
+      if (overlapsForDay.length === 0) {
+        return { date: d.date, label: d.label, status: "Available" };
       }
-    }
 
-    function getRelId(relObj) {
-      const d = relObj?.data;
-      if (!d) return null;
-      if (Array.isArray(d)) return d[0]?.id || null;
-      return d.id || null;
-    }
+      const first = overlapsForDay[0];
+      const bookedFrom = fmtTime(first.startsRaw, timezone);
+      const bookedUntil = fmtTime(first.stopsRaw, timezone);
 
-    function getRelType(relObj) {
-      const d = relObj?.data;
-      if (!d) return null;
-      if (Array.isArray(d)) return d[0]?.type || null;
-      return d.type || null;
-    }
-
-    function resolveProductIdFromPlanning(pl) {
-      const rel = pl?.relationships || {};
-      const attrs = pl?.attributes || {};
-
-      // CRITICAL: In Booqable v4, item_id in planning attributes IS the product ID
-      // The "item" relationship just returns the product with type "products"
-      if (attrs.item_id) return attrs.item_id;
-
-      // A) Direct product relationship
-      if (rel.product?.data?.id) return rel.product.data.id;
-
-      // Some APIs use plural products
-      if (Array.isArray(rel.products?.data) && rel.products.data[0]?.id) {
-        return rel.products.data[0].id;
-      }
-
-      // B) inventory_level -> product
-      if (rel.inventory_level?.data?.id) {
-        const invType = getRelType(rel.inventory_level) || "inventory_level";
-        const inv = getIncluded(invType, rel.inventory_level.data.id);
-        const prodId = inv?.relationships?.product?.data?.id;
-        if (prodId) return prodId;
-      }
+      const freesBeforeEndOfDay = first.endMs < d.endUtcMs;
 
-      // C) item -> product (check both relationship AND attributes)
-      if (rel.item?.data?.id) {
-        const itemType = getRelType(rel.item) || "item";
-        const item = getIncluded(itemType, rel.item.data.id);
+      if (freesBeforeEndOfDay) {
+        // Round the free time to business hours (next opening if outside them)
+        const roundedEndMs = roundToBusinessHours(first.endMs, timezone, hours);
         
-        // Try relationship first
-        const prodIdFromRel = item?.relationships?.product?.data?.id;
-        if (prodIdFromRel) return prodIdFromRel;
+        // Check if the rounded time falls on the SAME day or NEXT day
+        const endDayEnd = d.endUtcMs;
         
-        // Try attributes.product_id as fallback
-        const prodIdFromAttr = item?.attributes?.product_id;
-        if (prodIdFromAttr) return prodIdFromAttr;
-      }
-
-      // D) order -> lines -> product
-      if (rel.order?.data?.id) {
-        const orderType = getRelType(rel.order) || "order";
-        const order = getIncluded(orderType, rel.order.data.id);
-        const lines = order?.relationships?.lines?.data;
-
-        if (Array.isArray(lines)) {
-          for (const lineRef of lines) {
-            const line = getIncluded(lineRef.type, lineRef.id);
-            const prodId = line?.relationships?.product?.data?.id;
-            if (prodId && carById.has(prodId)) return prodId;
-          }
-        }
-      }
-
-      return null;
-    }
-
-    for (let page = 1; page <= MAX_PLANNINGS_PAGES; page++) {
-      const path = addPaging(basePlanningsPath, page);
-      const out = await booqable(path);
-
-      const rows = out?.data || [];
-      debug.fetchedPlannings += rows.length;
-
-      indexIncluded(out?.included);
-
-      for (const pl of rows) {
-        statRelKeys(pl);
-        
-        // Capture first planning structure for debugging
-        if (!debug.samplePlanningStructure) {
-          debug.samplePlanningStructure = {
-            id: pl.id,
-            type: pl.type,
-            attributes: pl.attributes,
-            relationships: Object.keys(pl.relationships || {})
+        // If rounded time is NOT within this day, show as fully Booked (red)
+        if (roundedEndMs >= endDayEnd) {
+          return {
+            date: d.date,
+            label: d.label,
+            status: "Booked",
+            bookedFrom,
+            bookedUntil,
           };
         }
         
-        // Capture first item structure if available
-        if (!debug.sampleItemStructure && pl.relationships?.item?.data?.id) {
-          const itemType = getRelType(pl.relationships.item) || "item";
-          const item = getIncluded(itemType, pl.relationships.item.data.id);
-          if (item) {
-            debug.sampleItemStructure = {
-              id: item.id,
-              type: item.type,
-              attributes: item.attributes,
-              relationships: Object.keys(item.relationships || {})
-            };
-          }
-        }
-
-        const productId = resolveProductIdFromPlanning(pl);
-        if (!productId) {
-          debug.planningsDroppedNoRel++;
-          continue;
-        }
-        if (!carById.has(productId)) {
-          debug.planningsDroppedUnknownCar++;
-          continue;
-        }
-
-        const starts = parseBooqableDate(pl?.attributes?.starts_at, offsetMinutes);
-        const stops = parseBooqableDate(pl?.attributes?.stops_at, offsetMinutes);
-        if (!starts || !stops) continue;
-
-        let startMs = starts.getTime();
-        let endMs = stops.getTime();
-
-        const car = carById.get(productId);
-
-        // apply buffers (seconds)
-        startMs -= (car.buffer_before_s || 0) * 1000;
-        endMs += (car.buffer_after_s || 0) * 1000;
-
-        intervalsByProduct.get(productId).push({
-          startMs,
-          endMs,
-          startsRaw: starts, // unbuffered start
-          stopsRaw: stops,   // unbuffered stop
-        });
-
-        debug.planningsMappedToCars++;
-      }
-
-      if (rows.length < PAGE_SIZE) break;
-    }
-
-    // sort intervals per car
-    for (const arr of intervalsByProduct.values()) {
-      arr.sort((a, b) => a.startMs - b.startMs);
-    }
-
-    // 5) Build response per car
-    const nowMs = Date.now();
-    const outCars = [];
-
-    for (const car of cars) {
-      const ivals = intervalsByProduct.get(car.id) || [];
-
-      // booked now if any interval contains now
-      const bookedNow = ivals.some((iv) => nowMs >= iv.startMs && nowMs < iv.endMs);
-      
-      // Check if we're currently in business hours (9am - 6pm)
-      const localNowMs = nowMs + (offsetMinutes * 60 * 1000);
-      const localNow = new Date(localNowMs);
-      const currentHour = localNow.getUTCHours();
-      const isBusinessHours = currentHour >= 9 && currentHour < 18;
-
-      // next available
-      let nextAvailable = "Available now";
-      
-      // Only show "Available now" if not booked AND during business hours
-      if (bookedNow || !isBusinessHours) {
-        nextAvailable = null;
-
-        // Find the next available slot
-        let foundAvailableSlot = false;
-        
-        for (let i = 0; i < ivals.length; i++) {
-          const iv = ivals[i];
-
-          // Skip past bookings
-          if (nowMs >= iv.endMs) continue;
-
-          // Round this interval's end to business hours
-          const roundedEndMs = roundToBusinessHours(iv.endMs, timezone, offsetMinutes);
-          
-          // Check if the next interval starts BEFORE our rounded available time
-          const nextInterval = ivals[i + 1];
-          
-          if (!nextInterval) {
-            // No more bookings after this one
-            nextAvailable = fmtNextAvailable(new Date(roundedEndMs), timezone);
-            foundAvailableSlot = true;
-            break;
-          }
-          
-          // Calculate the gap between this booking ending and next one starting
-          const gapMs = nextInterval.startMs - roundedEndMs;
-          
-          // Only consider this slot available if gap is at least minimum rentable hours
-          if (gapMs >= minRentableGapHours * 3600000) {
-            nextAvailable = fmtNextAvailable(new Date(roundedEndMs), timezone);
-            foundAvailableSlot = true;
-            break;
-          }
-          
-          // Gap too short, skip to next interval
-        }
-
-        // If we're outside business hours, not currently booked, and have no future bookings
-        if (!foundAvailableSlot && !bookedNow && ivals.length === 0) {
-          // Round current time to next 9am
-          const nextBusinessOpen = roundToBusinessHours(nowMs, timezone, offsetMinutes);
-          nextAvailable = fmtNextAvailable(new Date(nextBusinessOpen), timezone);
-        }
+        // Find this booking in the full intervals list to check the next one
+        const firstIndexInIvals = ivals.findIndex(iv => iv.startMs === first.startMs && iv.endMs === first.endMs);
+        const nextBooking = firstIndexInIvals >= 0 ? ivals[firstIndexInIvals + 1] : null;
         
-        // Fallback for edge cases
-        if (!nextAvailable) {
-          const last = ivals[ivals.length - 1];
-          if (last) {
-            const roundedEndMs = roundToBusinessHours(last.endMs, timezone, offsetMinutes);
-            nextAvailable = fmtNextAvailable(new Date(roundedEndMs), timezone);
-          } else {
-            // No bookings at all, round current time to next business hours
-            const nextBusinessOpen = roundToBusinessHours(nowMs, timezone, offsetMinutes);
-            nextAvailable = fmtNextAvailable(new Date(nextBusinessOpen), timezone);
-          }
-        }
-      }
-
-      // tiles
-      const tiles = days.map((d) => {
-        const overlapsForDay = ivals.filter((iv) =>
-          overlap(iv.startMs, iv.endMs, d.startUtcMs, d.endUtcMs)
-        );
-
-        if (overlapsForDay.length === 0) {
-          return { date: d.date, label: d.label, status: "Available" };
-        }
-
-        const first = overlapsForDay[0];
-        const bookedFrom = fmtTime(first.startsRaw, timezone);
-        const bookedUntil = fmtTime(first.stopsRaw, timezone);
-
-        const freesBeforeEndOfDay = first.endMs < d.endUtcMs;
-
-        if (freesBeforeEndOfDay) {
-          // Round the free time to business hours (9am if between 6pm-8:45am)
-          const roundedEndMs = roundToBusinessHours(first.endMs, timezone, offsetMinutes);
-          
-          // Check if the rounded time falls on the SAME day or NEXT day
-          const endDayEnd = d.endUtcMs;
-          
-          // If rounded time is NOT within this day, show as fully Booked (red)
-          if (roundedEndMs >= endDayEnd) {
+        if (nextBooking) {
+          const gapMs = nextBooking.startMs - roundedEndMs;
+          // If gap is less than minimum rentable, show as fully booked (red)
+          if (gapMs < minRentableGapHours * 3600000) {
             return {
               date: d.date,
               label: d.label,
@@ -594,75 +219,169 @@ export default async function handler(req, res) {
               bookedUntil,
             };
           }
-          
-          // Find this booking in the full intervals list to check the next one
-          const firstIndexInIvals = ivals.findIndex(iv => iv.startMs === first.startMs && iv.endMs === first.endMs);
-          const nextBooking = firstIndexInIvals >= 0 ? ivals[firstIndexInIvals + 1] : null;
-          
-          if (nextBooking) {
-            const gapMs = nextBooking.startMs - roundedEndMs;
-            // If gap is less than minimum rentable, show as fully booked (red)
-            if (gapMs < minRentableGapHours * 3600000) {
-              return {
-                date: d.date,
-                label: d.label,
-                status: "Booked",
-                bookedFrom,
-                bookedUntil,
-              };
-            }
-          }
-          
-          // Otherwise show Heads-up (orange) with back/free times
-          return {
-            date: d.date,
-            label: d.label,
-            status: "Heads-up",
-            bookedFrom,
-            bookedUntil,
-            backTime: fmtTime(first.stopsRaw, timezone),
-            freeTime: fmtTime(new Date(roundedEndMs), timezone),
-          };
         }
-
+        
+        // Otherwise show Heads-up (orange) with back/free times
         return {
           date: d.date,
           label: d.label,
-          status: "Booked",
+          status: "Heads-up",
           bookedFrom,
           bookedUntil,
+          backTime: fmtTime(backAt(first), timezone),
+          freeTime: fmtTime(new Date(roundedEndMs), timezone),
         };
-      });
+      }
 
-      outCars.push({
-        id: car.id,
-        name: car.name,
-        slug: car.slug,
-        photo_url: car.photo_url,
-        nextAvailable,
-        days: tiles,
-      });
+      return {
+        date: d.date,
+        label: d.label,
+        status: "Booked",
+        bookedFrom,
+        bookedUntil,
+      };
+    };
+
+    // tiles: status + every booking segment and rentable gap that day
+    const tiles = days.map((d) => ({
+      ...statusTile(d),
+      segments: daySegments(ivals, d, timezone, hours),
+      freeGaps: dayFreeGaps(ivals, d, minRentableGapHours, timezone, hours),
+    }));
+
+    outCars.push({
+      id: car.id,
+      name: car.name,
+      slug: car.slug,
+      photo_url: car.photo_url,
+      categories: car.categories || [],
+      location: car.location ?? null,
+      nextAvailable,
+      overdue: overdueFor(ivals, timezone),
+      days: tiles,
+    });
+  }
+
+  // Optional: consistent ordering by name (puts add-ons last even if they sneak in)
+  outCars.sort((a, b) => a.name.localeCompare(b.name, "en"));
+
+  // Other settings or windows would flip tiles that didn't really change;
+  // missing bookings would look cancelled
+  const snapshotable =
+    isSnapshotWindow(windowQuery) &&
+    !filter.category &&
+    !filter.location &&
+    !hours.location &&
+    minRentableGapHours === MIN_RENTABLE_GAP_HOURS_DEFAULT &&
+    !debug.planningsPartial &&
+    !debug.planningsTruncated;
+  if (snapshotable) {
+    await saveSnapshot({ timezone, days, outCars, intervalsByProduct }, { force: forceSnapshot });
+  }
+
+  const payload = {
+    company,
+    stale: false,
+    partial: debug.planningsPartial,
+    rangeDays: days.length,
+    from: days[0].date,
+    to: days[days.length - 1].date,
+    minRentableGapHours,
+    timezone,
+    timezone_offset_minutes: tzOffsetMinutes(now(), timezone),
+    location: filter.location ?? hours.location,
+    category: filter.category,
+    days: days.map((d) => ({ date: d.date, label: d.label })),
+    cars: outCars,
+    debug,
+    note:
+      "If cars still show Available when booked: check debug.relationshipKeyStats to see what relationship keys plannings actually expose (order/item/inventory_level/product etc).",
+  };
+
+  return payload;
+}
+
+// Keyed by requested window and settings so different views don't clobber each other
+export function payloadCacheKey({ windowQuery, minRentableGapHours, hours, filter }) {
+  return (
+    `availability:${windowCacheKey(windowQuery)}|${minRentableGapHours}|${hours.location || ""}` +
+    `|${fleetFilterKey(filter)}`
+  );
+}
+
+async function handler(req, res) {
+  try {
+    if (!requireStaff(req, res)) return;
+
+    const windowQuery = parseWindowQuery(req.query);
+    if (windowQuery.error) {
+      return sendJson(res, 400, { error: windowQuery.error });
     }
 
-    // Optional: consistent ordering by name (puts add-ons last even if they sneak in)
-    outCars.sort((a, b) => a.name.localeCompare(b.name, "en"));
+    const minRentableGapHours = minRentableGapHoursFromQuery(req.query);
 
-    const payload = {
-      company,
-      rangeDays: RANGE_DAYS,
-      minRentableGapHours,
-      timezone,
-      timezone_offset_minutes: offsetMinutes,
-      days: days.map((d) => ({ date: d.date, label: d.label })),
-      cars: outCars,
-      debug,
-      note:
-        "If cars still show Available when booked: check debug.relationshipKeyStats to see what relationship keys plannings actually expose (order/item/inventory_level/product etc).",
-    };
+    const { hours, error: hoursError } = businessHoursFromQuery(req.query);
+    if (hoursError) {
+      return sendJson(res, 400, { error: hoursError });
+    }
 
-    _cache = { at: Date.now(), payload };
-    return sendJson(res, 200, payload, 10);
+    const { filter, error: filterError } = fleetFilterFromQuery(req.query);
+    if (filterError) {
+      return sendJson(res, 400, { error: filterError });
+    }
+
+    const format = parseFormat(req.query);
+    if (format.error) {
+      return sendJson(res, 400, { error: format.error });
+    }
+
+    const cacheKey = payloadCacheKey({ windowQuery, minRentableGapHours, hours, filter });
+    // Anything cached before the last webhook change is out of date
+    const { at: changedAt } = await latestChange();
+    const fresh = await getFresh(cacheKey, PLANNINGS_TTL_MS, changedAt);
+    if (fresh) {
+      return sendPayload(res, fresh, format);
+    }
+
+    const creds = booqableCredentials();
+    if (!creds) return sendError(res, missingCredentialsError());
+    const { company } = creds;
+    const booqable = createBooqableClient(creds);
+
+    let payload;
+    try {
+      payload = await buildPayload({
+        booqable,
+        company,
+        windowQuery,
+        minRentableGapHours,
+        hours,
+        filter,
+      });
+    } catch (e) {
+      // Booqable down or out of 429 retries: fall back to the last good payload
+      const last = await getLastGood(cacheKey);
+      if (!last) throw e;
+      const { code, message } = describeError(e);
+      const stale = {
+        ...last.value,
+        stale: true,
+        staleAgeSeconds: last.ageSeconds,
+        staleError: message,
+        staleCode: code,
+      };
+      return sendPayload(res, stale, format, 0);
+    }
+
+    if (payload.partial) {
+      return sendPayload(res, payload, format, 0);
+    }
+
+    await put(cacheKey, payload);
+    return sendPayload(res, payload, format);
   } catch (e) {
-    return sendJson(res, 500, { error: e.message });
+    return sendError(res, e);
   }
 }
+
+export default withMetrics("availability", handler);
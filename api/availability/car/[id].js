@@ -0,0 +1,98 @@
+// api/availability/car/[id].js
+//
+// One car in detail: /api/availability/car/<product id | slug>
+//
+// Returns the product metadata (buffers, photo), every booked interval in the
+// window with raw, buffered and ready-again times, the rentable free windows,
+// and the step-by-step reasoning behind "Next available".
+//
+// Query params: same window/minRentableGapHours/location params as /api/availability.
+//
+// /api/availability/car/<slug>.ics returns the car's bookings as an iCalendar feed.
+//
+// Staff only (lib/auth.js); the .ics feed also accepts a feed token.
+
+import {
+  describeInterval,
+  freeWindows,
+  minRentableGapHoursFromQuery,
+  nextAvailableFor,
+} from "../../../lib/availability.js";
+import { requireStaff } from "../../../lib/auth.js";
+import { booqableCredentials, createBooqableClient } from "../../../lib/booqable.js";
+import { now } from "../../../lib/clock.js";
+import { missingCredentialsError } from "../../../lib/errors.js";
+import { createDebug, findCar, loadFleetWindow } from "../../../lib/fleet.js";
+import { businessHoursFromQuery } from "../../../lib/hours.js";
+import { sendError, sendJson } from "../../../lib/http.js";
+import { withMetrics } from "../../../lib/metrics.js";
+import { fmtInstant } from "../../../lib/time.js";
+import { parseWindowQuery } from "../../../lib/window.js";
+import { sendCarsCalendar } from "../../availability.ics.js";
+
+async function handler(req, res) {
+  try {
+    const carParam = String(req.query.id || "").trim();
+    if (!carParam) return sendJson(res, 400, { error: "Missing car id or slug" });
+
+    if (carParam.toLowerCase().endsWith(".ics")) {
+      return sendCarsCalendar(req, res, carParam.slice(0, -4));
+    }
+
+    if (!requireStaff(req, res)) return;
+
+    const windowQuery = parseWindowQuery(req.query);
+    if (windowQuery.error) return sendJson(res, 400, { error: windowQuery.error });
+
+    const minRentableGapHours = minRentableGapHoursFromQuery(req.query);
+
+    const { hours, error: hoursError } = businessHoursFromQuery(req.query);
+    if (hoursError) return sendJson(res, 400, { error: hoursError });
+
+    const creds = booqableCredentials();
+    if (!creds) return sendError(res, missingCredentialsError());
+    const booqable = createBooqableClient(creds);
+    const debug = createDebug();
+
+    const { timezone, days, cars, intervalsByProduct } = await loadFleetWindow(
+      booqable,
+      windowQuery,
+      debug
+    );
+
+    const car = findCar(cars, carParam);
+    if (!car) return sendJson(res, 404, { error: `Unknown car '${carParam}'` });
+
+    const ivals = intervalsByProduct.get(car.id) || [];
+    const next = nextAvailableFor({
+      ivals,
+      nowMs: now(),
+      timezone,
+      hours,
+      minRentableGapHours,
+    });
+
+    const windowStartMs = days[0].startUtcMs;
+    const windowEndMs = days[days.length - 1].endUtcMs;
+
+    return sendJson(res, 200, {
+      timezone,
+      from: days[0].date,
+      to: days[days.length - 1].date,
+      minRentableGapHours,
+      location: hours.location,
+      partial: debug.planningsPartial,
+      car,
+      intervals: ivals.map((iv) => describeInterval(iv, timezone, hours)),
+      freeWindows: freeWindows(ivals, windowStartMs, windowEndMs, minRentableGapHours, timezone, hours),
+      nextAvailable: next.nextAvailable,
+      nextAvailableAt:
+        next.nextAvailableAtMs === null ? null : fmtInstant(next.nextAvailableAtMs, timezone),
+      nextAvailableReasons: next.reasons,
+    });
+  } catch (e) {
+    return sendError(res, e);
+  }
+}
+
+export default withMetrics("availability/car", handler);
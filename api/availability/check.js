@@ -0,0 +1,143 @@
+// api/availability/check.js
+//
+// Booking feasibility: "is car X free from A to B?"
+//
+// Query params:
+// - car=<product id | slug>   (omit or "all" to check the whole fleet)
+// - from, to                  local datetimes: YYYY-MM-DDTHH:MM (or YYYY-MM-DD = midnight)
+// - minRentableGapHours=N
+// - location=<key>            (opening hours override; with car=all, that location's
+//                              cars when config/fleet.json has it)
+// - category=<key>            (with car=all, only cars in that category)
+//
+// Uses the same planning -> car mapping, buffers and business-hour rounding as
+// /api/availability. When a car is not free, suggests the nearest same-length
+// slot before/after the request, the latest return that keeps the requested
+// pickup, and the earliest pickup that keeps the requested return.
+//
+// Staff only (lib/auth.js).
+
+import { checkBooking, minRentableGapHoursFromQuery } from "../../lib/availability.js";
+import { requireStaff } from "../../lib/auth.js";
+import { booqableCredentials, createBooqableClient } from "../../lib/booqable.js";
+import { missingCredentialsError } from "../../lib/errors.js";
+import {
+  MAX_PLANNINGS_PAGES_PER_DAY,
+  createDebug,
+  fetchCatalog,
+  fetchIntervals,
+  findCar,
+} from "../../lib/fleet.js";
+import { filterCars, fleetFilterFromQuery } from "../../lib/fleetConfig.js";
+import { businessHoursFromQuery } from "../../lib/hours.js";
+import { sendError, sendJson } from "../../lib/http.js";
+import { withMetrics } from "../../lib/metrics.js";
+import { fmtInstant, parseLocalDateTime } from "../../lib/time.js";
+
+const MAX_BOOKING_DAYS = 60;
+const SUGGEST_SEARCH_DAYS = 14; // look this far either side of the request for alternatives
+
+async function handler(req, res) {
+  try {
+    if (!requireStaff(req, res)) return;
+
+    const { from, to } = req.query;
+    if (!from || !to) {
+      return sendJson(res, 400, { error: "Missing from/to (local YYYY-MM-DDTHH:MM)" });
+    }
+
+    const carParam = String(req.query.car || "").trim();
+    const wholeFleet = !carParam || carParam.toLowerCase() === "all";
+    const minRentableGapHours = minRentableGapHoursFromQuery(req.query);
+
+    const { hours, error: hoursError } = businessHoursFromQuery(req.query);
+    if (hoursError) return sendJson(res, 400, { error: hoursError });
+    const { filter, error: filterError } = fleetFilterFromQuery(req.query);
+    if (filterError) return sendJson(res, 400, { error: filterError });
+
+    const creds = booqableCredentials();
+    if (!creds) return sendError(res, missingCredentialsError());
+    const booqable = createBooqableClient(creds);
+    const debug = createDebug();
+
+    const { timezone, cars: allCars } = await fetchCatalog(booqable, debug);
+
+    const reqStart = parseLocalDateTime(from, timezone);
+    const reqEnd = parseLocalDateTime(to, timezone);
+    if (!reqStart) return sendJson(res, 400, { error: `Invalid from '${from}'` });
+    if (!reqEnd) return sendJson(res, 400, { error: `Invalid to '${to}'` });
+
+    const reqStartMs = reqStart.getTime();
+    const reqEndMs = reqEnd.getTime();
+    if (reqEndMs <= reqStartMs) {
+      return sendJson(res, 400, { error: "'to' must be after 'from'" });
+    }
+    if (reqEndMs - reqStartMs > MAX_BOOKING_DAYS * 86400000) {
+      return sendJson(res, 400, { error: `Booking too long (max ${MAX_BOOKING_DAYS} days)` });
+    }
+
+    let cars = filterCars(allCars, filter);
+    if (!wholeFleet) {
+      const car = findCar(allCars, carParam);
+      if (!car) return sendJson(res, 404, { error: `Unknown car '${carParam}'` });
+      cars = [car];
+    }
+
+    const horizonStartMs = reqStartMs - SUGGEST_SEARCH_DAYS * 86400000;
+    const horizonEndMs = reqEndMs + SUGGEST_SEARCH_DAYS * 86400000;
+    const horizonDays = Math.ceil((horizonEndMs - horizonStartMs) / 86400000);
+
+    const intervalsByProduct = await fetchIntervals(booqable, {
+      cars,
+      fromIso: new Date(horizonStartMs).toISOString(),
+      tillIso: new Date(horizonEndMs).toISOString(),
+      maxPages: MAX_PLANNINGS_PAGES_PER_DAY * horizonDays,
+      timezone,
+      debug,
+    });
+
+    // A booking we didn't see would turn into a wrong "available"
+    if (debug.planningsPartial || debug.planningsTruncated) {
+      return sendJson(res, 503, {
+        error: "Not all bookings could be loaded from Booqable, try again shortly",
+      });
+    }
+
+    const results = cars.map((car) =>
+      checkBooking({
+        car,
+        ivals: intervalsByProduct.get(car.id) || [],
+        reqStartMs,
+        reqEndMs,
+        horizonStartMs,
+        horizonEndMs,
+        minRentableGapHours,
+        timezone,
+        hours,
+      })
+    );
+
+    const payload = {
+      from: fmtInstant(reqStartMs, timezone),
+      to: fmtInstant(reqEndMs, timezone),
+      timezone,
+      minRentableGapHours,
+    };
+
+    if (wholeFleet) {
+      results.sort((a, b) => a.name.localeCompare(b.name, "en"));
+      payload.cars = results;
+      payload.fits = results
+        .filter((r) => r.available)
+        .map((r) => ({ id: r.id, name: r.name, slug: r.slug, leavesShortGap: r.leavesShortGap }));
+    } else {
+      payload.car = results[0];
+    }
+
+    return sendJson(res, 200, payload);
+  } catch (e) {
+    return sendError(res, e);
+  }
+}
+
+export default withMetrics("availability/check", handler);
@@ -0,0 +1,182 @@
+// api/availability/public.js
+//
+// Public, redacted availability: /api/availability/public
+//
+// No login. Per car only the name, photo, store slug + booking link, the day
+// it is next available ("Today", "Tomorrow", "Wed 21 Oct") and, per day,
+// whether it can be rented - no booking times, Heads-up detail, order numbers,
+// product ids or debug data. Uses the same car filter, buffers, business-hour
+// rounding and min rentable gap as the staff view over the next
+// PUBLIC_HORIZON_DAYS days, but only cars shown in the Booqable store (cars on
+// the fleet include list but hidden from the store stay staff-only). Backs the
+// customer widget (widget.html).
+//
+// A day is available when a rentable free window (lib/availability.js
+// freeWindows) starts or is already open that day from now on; next available
+// is the first such day, so the two always agree.
+//
+// Query params:
+// - days=N           (per-day list length from today, default 7, max 14)
+// - location=<key>   (opening hours override; that location's cars when config/fleet.json has it)
+// - category=<key>   (only cars in that category, config/fleet.json)
+//
+// Optional env vars:
+// - BOOKING_URL_TEMPLATE  (default https://{company}.booqableshop.com/products/{slug})
+
+import { MIN_RENTABLE_GAP_HOURS_DEFAULT, freeWindows } from "../../lib/availability.js";
+import { booqableCredentials, createBooqableClient } from "../../lib/booqable.js";
+import { PLANNINGS_TTL_MS, getFresh, getLastGood, put } from "../../lib/cache.js";
+import { latestChange } from "../../lib/changes.js";
+import { now } from "../../lib/clock.js";
+import { describeError, missingCredentialsError } from "../../lib/errors.js";
+import { createDebug, loadFleetWindow } from "../../lib/fleet.js";
+import { fleetFilterFromQuery, fleetFilterKey, publicCars } from "../../lib/fleetConfig.js";
+import { businessHoursFromQuery } from "../../lib/hours.js";
+import { sendError, sendJson } from "../../lib/http.js";
+import { count, withMetrics } from "../../lib/metrics.js";
+import {
+  daysBetween,
+  fmtDayLabel,
+  fmtISODate,
+  localDateParts,
+  zonedTimeToUtcMs,
+} from "../../lib/time.js";
+
+const PUBLIC_HORIZON_DAYS = 14;
+const PUBLIC_DEFAULT_DAYS = 7;
+const PUBLIC_CACHE_SECONDS = 60;
+const BOOKING_URL_TEMPLATE =
+  process.env.BOOKING_URL_TEMPLATE || "https://{company}.booqableshop.com/products/{slug}";
+
+function bookingUrl(company, slug) {
+  if (!slug) return null;
+  return BOOKING_URL_TEMPLATE.replace("{company}", encodeURIComponent(company)).replace(
+    "{slug}",
+    encodeURIComponent(slug)
+  );
+}
+
+// ?days=N -> number of days, or { error }
+function parseDays(query) {
+  if (!query.days) return PUBLIC_DEFAULT_DAYS;
+  const days = Number(query.days);
+  if (!Number.isInteger(days) || days < 1 || days > PUBLIC_HORIZON_DAYS) {
+    return { error: `Invalid days '${query.days}' (expected 1-${PUBLIC_HORIZON_DAYS})` };
+  }
+  return days;
+}
+
+// Day-level label relative to today, in the account timezone.
+function coarseDay(ms, nowMs, timezone) {
+  const ahead = daysBetween(localDateParts(nowMs, timezone), localDateParts(ms, timezone));
+  if (ahead <= 0) return "Today";
+  if (ahead === 1) return "Tomorrow";
+  return fmtDayLabel(new Date(ms), timezone);
+}
+
+// Cached copies may be from yesterday: recompute "Today"/"Tomorrow" from the
+// dates and cut the per-day list to `dayCount` days from today.
+function forToday(payload, dayCount) {
+  const nowMs = now();
+  const today = fmtISODate(new Date(nowMs), payload.timezone);
+  const keep = (list) => list.filter((d) => d.date >= today).slice(0, dayCount);
+  const cars = payload.cars.map((car) => {
+    if (!car.nextAvailableDate) return { ...car, days: keep(car.days) };
+    const [y, m, d] = car.nextAvailableDate.split("-").map(Number);
+    const noonMs = zonedTimeToUtcMs(y, m - 1, d, 12, 0, 0, payload.timezone);
+    return { ...car, nextAvailable: coarseDay(noonMs, nowMs, payload.timezone), days: keep(car.days) };
+  });
+  return { ...payload, days: keep(payload.days), cars };
+}
+
+async function buildPublicPayload(booqable, company, hours, filter) {
+  const debug = createDebug();
+  const { timezone, days, cars, intervalsByProduct } = await loadFleetWindow(
+    booqable,
+    { from: null, days: PUBLIC_HORIZON_DAYS },
+    debug,
+    filter
+  );
+
+  const nowMs = now();
+  const horizonEndMs = days[days.length - 1].endUtcMs;
+  const minRentableGapHours = MIN_RENTABLE_GAP_HOURS_DEFAULT;
+  const rentableFrom = (ivals, startMs, endMs) =>
+    freeWindows(ivals, Math.max(startMs, nowMs), endMs, minRentableGapHours, timezone, hours);
+
+  const outCars = publicCars(cars).map((car) => {
+    const ivals = intervalsByProduct.get(car.id) || [];
+    const first = rentableFrom(ivals, nowMs, horizonEndMs)[0];
+    const firstMs = first ? Date.parse(first.from.iso) : null;
+    return {
+      name: car.name,
+      slug: car.slug || null,
+      photo_url: car.photo_url || null,
+      bookUrl: bookingUrl(company, car.slug),
+      // null: booked for the whole horizon
+      nextAvailableDate: firstMs === null ? null : fmtISODate(new Date(firstMs), timezone),
+      nextAvailable: firstMs === null ? "Fully booked" : coarseDay(firstMs, nowMs, timezone),
+      days: days.map((d) => ({
+        date: d.date,
+        available: rentableFrom(ivals, d.startUtcMs, d.endUtcMs).length > 0,
+      })),
+    };
+  });
+  outCars.sort((a, b) => a.name.localeCompare(b.name, "en"));
+
+  return {
+    timezone,
+    partial: debug.planningsPartial,
+    days: days.map((d) => ({ date: d.date, label: d.label })),
+    cars: outCars,
+  };
+}
+
+async function handler(req, res) {
+  try {
+    // Public data: any site may read it (the widget itself is same-origin)
+    res.setHeader("Access-Control-Allow-Origin", "*");
+
+    const dayCount = parseDays(req.query);
+    if (dayCount.error) return sendJson(res, 400, { error: dayCount.error });
+
+    const { hours, error: hoursError } = businessHoursFromQuery(req.query);
+    if (hoursError) return sendJson(res, 400, { error: hoursError });
+
+    const { filter, error: filterError } = fleetFilterFromQuery(req.query);
+    if (filterError) return sendJson(res, 400, { error: filterError });
+
+    const cacheKey = `public-availability:${hours.location || ""}|${fleetFilterKey(filter)}`;
+    const { at: changedAt } = await latestChange();
+    const fresh = await getFresh(cacheKey, PLANNINGS_TTL_MS, changedAt);
+    if (fresh) return sendJson(res, 200, forToday(fresh, dayCount), PUBLIC_CACHE_SECONDS);
+
+    const creds = booqableCredentials();
+    if (!creds) return sendError(res, missingCredentialsError());
+
+    // Day-level answers age well: an older copy beats an error page, and
+    // incomplete data would show booked cars as available
+    const lastGoodOr503 = async () => {
+      const last = await getLastGood(cacheKey);
+      if (!last) return sendJson(res, 503, { error: "Availability is temporarily unavailable" });
+      return sendJson(res, 200, forToday(last.value, dayCount), 0);
+    };
+
+    let payload;
+    try {
+      payload = await buildPublicPayload(createBooqableClient(creds), creds.company, hours, filter);
+    } catch {
+      return lastGoodOr503();
+    }
+    if (payload.partial) return lastGoodOr503();
+
+    await put(cacheKey, payload);
+    return sendJson(res, 200, forToday(payload, dayCount), PUBLIC_CACHE_SECONDS);
+  } catch (e) {
+    // Don't leak internals to the public
+    count(`publicFailed.${describeError(e).code}`);
+    return sendJson(res, 500, { error: "Availability is temporarily unavailable" });
+  }
+}
+
+export default withMetrics("availability/public", handler);
@@ -0,0 +1,174 @@
+// api/availability/reassign.js
+//
+// Reassignment suggestions: which bookings to move to another, interchangeable
+// car to open up rentable time, or to make room for a requested booking.
+// Nothing is changed in Booqable; each move says what to change there.
+//
+// Query params:
+// - from, to                  a requested booking, local datetimes YYYY-MM-DDTHH:MM
+//                             (or YYYY-MM-DD = midnight): the fewest moves that
+//                             free a car for it. Without them: moves that add
+//                             the most rentable free time over the next `days`.
+// - days=N                    how far ahead to optimise (default 14, max 31)
+// - maxMoves=N                (default 4, max 10; a swap is two moves)
+// - category=<key>            only cars in that category, all interchangeable
+// - location=<key>            (opening hours override; that location's cars when
+//                              config/fleet.json has it)
+// - minRentableGapHours=N     free time shorter than this doesn't count
+//
+// Cars are interchangeable when they share a category in config/fleet.json
+// (any car with any other when no categories are configured). Orders already
+// picked up never move. Buffers and business-hour rounding are applied as in
+// /api/availability/check, using the buffers of the car a booking moves to.
+//
+// Staff only (lib/auth.js).
+
+import { minRentableGapHoursFromQuery } from "../../lib/availability.js";
+import { requireStaff } from "../../lib/auth.js";
+import { booqableCredentials, createBooqableClient } from "../../lib/booqable.js";
+import { now } from "../../lib/clock.js";
+import { missingCredentialsError } from "../../lib/errors.js";
+import {
+  MAX_PLANNINGS_PAGES_PER_DAY,
+  createDebug,
+  fetchCatalog,
+  fetchIntervals,
+} from "../../lib/fleet.js";
+import { filterCars, fleetCategories, fleetFilterFromQuery } from "../../lib/fleetConfig.js";
+import { businessHoursFromQuery } from "../../lib/hours.js";
+import { sendError, sendJson } from "../../lib/http.js";
+import { withMetrics } from "../../lib/metrics.js";
+import { planForRequest, planReassignments } from "../../lib/reassign.js";
+import { fmtInstant, parseLocalDateTime } from "../../lib/time.js";
+
+const DEFAULT_DAYS = 14;
+const MAX_DAYS = 31;
+const DEFAULT_MAX_MOVES = 4;
+const MAX_MOVES = 10;
+const MAX_BOOKING_DAYS = 60;
+const FETCH_MARGIN_DAYS = 7; // bookings just past the horizon still block moves
+
+function intParam(value, fallback, min, max) {
+  if (value === undefined || value === "") return fallback;
+  const n = Number(value);
+  return Number.isInteger(n) && n >= min && n <= max ? n : null;
+}
+
+async function handler(req, res) {
+  try {
+    if (!requireStaff(req, res)) return;
+
+    const { from, to } = req.query;
+    if (Boolean(from) !== Boolean(to)) {
+      return sendJson(res, 400, { error: "Give both from and to (local YYYY-MM-DDTHH:MM), or neither" });
+    }
+
+    const days = intParam(req.query.days, DEFAULT_DAYS, 1, MAX_DAYS);
+    if (days === null) {
+      return sendJson(res, 400, { error: `Invalid days '${req.query.days}' (expected 1-${MAX_DAYS})` });
+    }
+    const maxMoves = intParam(req.query.maxMoves, DEFAULT_MAX_MOVES, 1, MAX_MOVES);
+    if (maxMoves === null) {
+      return sendJson(res, 400, {
+        error: `Invalid maxMoves '${req.query.maxMoves}' (expected 1-${MAX_MOVES})`,
+      });
+    }
+    const minRentableGapHours = minRentableGapHoursFromQuery(req.query);
+
+    const { hours, error: hoursError } = businessHoursFromQuery(req.query);
+    if (hoursError) return sendJson(res, 400, { error: hoursError });
+    const { filter, error: filterError } = fleetFilterFromQuery(req.query);
+    if (filterError) return sendJson(res, 400, { error: filterError });
+
+    const creds = booqableCredentials();
+    if (!creds) return sendError(res, missingCredentialsError());
+    const booqable = createBooqableClient(creds);
+    const debug = createDebug();
+    const nowMs = now();
+
+    const { timezone, cars: allCars } = await fetchCatalog(booqable, debug);
+
+    let request = null;
+    if (from) {
+      const reqStart = parseLocalDateTime(from, timezone);
+      const reqEnd = parseLocalDateTime(to, timezone);
+      if (!reqStart) return sendJson(res, 400, { error: `Invalid from '${from}'` });
+      if (!reqEnd) return sendJson(res, 400, { error: `Invalid to '${to}'` });
+      request = { reqStartMs: reqStart.getTime(), reqEndMs: reqEnd.getTime() };
+      if (request.reqEndMs <= request.reqStartMs) {
+        return sendJson(res, 400, { error: "'to' must be after 'from'" });
+      }
+      if (request.reqStartMs <= nowMs) {
+        return sendJson(res, 400, { error: "'from' must be in the future" });
+      }
+      if (request.reqEndMs - request.reqStartMs > MAX_BOOKING_DAYS * 86400000) {
+        return sendJson(res, 400, { error: `Booking too long (max ${MAX_BOOKING_DAYS} days)` });
+      }
+    }
+
+    const cars = filterCars(allCars, filter);
+    const categorised = !filter.category && fleetCategories().length > 0;
+    const interchangeable = (a, b) =>
+      !categorised || (a.categories || []).some((c) => (b.categories || []).includes(c));
+
+    // With a request, bookings up to DEFAULT_DAYS past it may move out of the way
+    const horizonEndMs = request
+      ? Math.max(request.reqEndMs + DEFAULT_DAYS * 86400000, nowMs + days * 86400000)
+      : nowMs + days * 86400000;
+    const fetchDays = Math.ceil((horizonEndMs - nowMs) / 86400000) + FETCH_MARGIN_DAYS;
+
+    const intervalsByProduct = await fetchIntervals(booqable, {
+      cars,
+      fromIso: new Date(nowMs).toISOString(),
+      tillIso: new Date(nowMs + fetchDays * 86400000).toISOString(),
+      maxPages: MAX_PLANNINGS_PAGES_PER_DAY * fetchDays,
+      timezone,
+      debug,
+      nowMs,
+    });
+
+    // A booking we didn't see could end up double-booked
+    if (debug.planningsPartial || debug.planningsTruncated) {
+      return sendJson(res, 503, {
+        error: "Not all bookings could be loaded from Booqable, try again shortly",
+      });
+    }
+
+    const options = {
+      cars,
+      intervalsByProduct,
+      nowMs,
+      horizonEndMs,
+      interchangeable,
+      minRentableGapHours,
+      timezone,
+      hours,
+      maxMoves,
+    };
+
+    const payload = {
+      timezone,
+      horizon: { from: fmtInstant(nowMs, timezone), until: fmtInstant(horizonEndMs, timezone) },
+      category: filter.category,
+      location: filter.location,
+      minRentableGapHours,
+      maxMoves,
+    };
+
+    if (request) {
+      payload.request = {
+        from: fmtInstant(request.reqStartMs, timezone),
+        to: fmtInstant(request.reqEndMs, timezone),
+      };
+      Object.assign(payload, planForRequest({ ...options, ...request }));
+    } else {
+      Object.assign(payload, planReassignments(options));
+    }
+
+    return sendJson(res, 200, payload);
+  } catch (e) {
+    return sendError(res, e);
+  }
+}
+
+export default withMetrics("availability/reassign", handler);
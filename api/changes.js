@@ -0,0 +1,97 @@
+// api/changes.js
+//
+// Change feed: /api/changes
+//
+// What changed between availability snapshots (lib/snapshots.js): bookings
+// new, cancelled, moved, extended, shortened, reassigned or changed state
+// (reserved / on-rent / returned / overdue), and day tiles whose status
+// flipped. Each change carries the `tiles` ({ carId, date }) it affects.
+//
+// Query params:
+// - snapshot=<id>          changes after that snapshot (what a page saw last), or
+// - since=<ISO time | ms>  changes after that time (default: the last 24 hours)
+// - limit=N                newest N changes (default 100, max 500)
+// - take=1                 take a snapshot first (the staff page's default window and settings)
+//
+// Snapshots are taken when staff availability is rebuilt; schedule take=1 to
+// keep them coming when nobody has the page open, e.g. in vercel.json:
+//   "crons": [{ "path": "/api/changes?take=1", "schedule": "*/10 * * * *" }]
+//
+// Staff only (lib/auth.js); take=1 also accepts Authorization: Bearer <CRON_SECRET>.
+
+import { MIN_RENTABLE_GAP_HOURS_DEFAULT } from "../lib/availability.js";
+import { isCronRequest, requireStaff } from "../lib/auth.js";
+import { booqableCredentials, createBooqableClient } from "../lib/booqable.js";
+import { now } from "../lib/clock.js";
+import { missingCredentialsError } from "../lib/errors.js";
+import { getBusinessHours } from "../lib/hours.js";
+import { sendError, sendJson } from "../lib/http.js";
+import { withMetrics } from "../lib/metrics.js";
+import { SNAPSHOT_WINDOW, changesSince } from "../lib/snapshots.js";
+import { buildPayload } from "./availability.js";
+
+const DEFAULT_SINCE_HOURS = 24;
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+const isOn = (v) => v === "1" || v === "true";
+
+// ?since= as ISO or epoch ms -> ms, or null when invalid
+function parseSince(value) {
+  const str = String(value).trim();
+  const ms = /^\d+$/.test(str) ? Number(str) : Date.parse(str);
+  return Number.isFinite(ms) ? ms : null;
+}
+
+async function handler(req, res) {
+  try {
+    const take = isOn(req.query.take);
+    if (!(take && isCronRequest(req)) && !requireStaff(req, res)) return;
+
+    let snapshotId = null;
+    if (req.query.snapshot) {
+      snapshotId = Number(req.query.snapshot);
+      if (!Number.isInteger(snapshotId) || snapshotId < 0) {
+        return sendJson(res, 400, { error: `Invalid snapshot '${req.query.snapshot}'` });
+      }
+    }
+
+    let sinceMs = now() - DEFAULT_SINCE_HOURS * 3600000;
+    if (req.query.since) {
+      sinceMs = parseSince(req.query.since);
+      if (sinceMs === null) {
+        return sendJson(res, 400, { error: `Invalid since '${req.query.since}' (ISO time or ms)` });
+      }
+    }
+
+    const limit = req.query.limit ? Number(req.query.limit) : DEFAULT_LIMIT;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return sendJson(res, 400, { error: `Invalid limit '${req.query.limit}' (expected 1-${MAX_LIMIT})` });
+    }
+
+    if (take) {
+      const creds = booqableCredentials();
+      if (!creds) return sendError(res, missingCredentialsError());
+      await buildPayload({
+        booqable: createBooqableClient(creds),
+        company: creds.company,
+        windowQuery: SNAPSHOT_WINDOW,
+        minRentableGapHours: MIN_RENTABLE_GAP_HOURS_DEFAULT,
+        hours: getBusinessHours(null),
+        filter: { category: null, location: null },
+        forceSnapshot: true,
+      });
+    }
+
+    const { latest, changes } = await changesSince({ snapshotId, sinceMs, limit });
+    return sendJson(res, 200, {
+      latest: latest && { id: latest.id, at: new Date(latest.at).toISOString() },
+      since: snapshotId !== null ? { snapshot: snapshotId } : { at: new Date(sinceMs).toISOString() },
+      changes: changes.map((c) => ({ ...c, at: new Date(c.at).toISOString() })),
+    });
+  } catch (e) {
+    return sendError(res, e);
+  }
+}
+
+export default withMetrics("changes", handler);
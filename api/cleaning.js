@@ -0,0 +1,90 @@
+// api/cleaning.js
+//
+// Cleaning queue for clean.html: /api/cleaning
+//
+// Returns from yesterday to tomorrow with their actual timestamps, each car's
+// next pickup, the turnaround window and an urgency level, grouped into the
+// page's sections. See lib/cleaning.js for the rules.
+//
+// Each item carries its current cleaning status (`cleaning`, null when not
+// marked; see api/cleaning/status.js).
+//
+// Query params (defaults from env CLEANING_QUICK_TURNAROUND_MINUTES,
+// CLEANING_SOON_HOURS, CLEANING_LATE_RETURN_CUTOFF):
+// - quickTurnaroundMinutes=30   turnaround at or under this is critical
+// - soonHours=4                 turnaround under this is high
+// - lateReturnCutoff=18:00      returns from this time are cleaned next morning
+// - location=<key>              (opening hours override; that location's cars
+//                                when config/fleet.json has it)
+// - category=<key>              (only cars in that category)
+//
+// Staff only (lib/auth.js).
+
+import { requireStaff } from "../lib/auth.js";
+import { booqableCredentials, createBooqableClient } from "../lib/booqable.js";
+import { cleaningQueue, cleaningThresholdsFromQuery } from "../lib/cleaning.js";
+import { getStatuses } from "../lib/cleaningStatus.js";
+import { now } from "../lib/clock.js";
+import { missingCredentialsError } from "../lib/errors.js";
+import { createDebug, loadFleetWindow } from "../lib/fleet.js";
+import { fleetFilterFromQuery } from "../lib/fleetConfig.js";
+import { businessHoursFromQuery } from "../lib/hours.js";
+import { sendError, sendJson } from "../lib/http.js";
+import { withMetrics } from "../lib/metrics.js";
+
+// Yesterday's returns through pickups a week out
+const CLEANING_WINDOW = { from: null, offsetDays: -1, days: 9 };
+
+async function handler(req, res) {
+  try {
+    if (!requireStaff(req, res)) return;
+
+    const { thresholds, error } = cleaningThresholdsFromQuery(req.query);
+    if (error) return sendJson(res, 400, { error });
+
+    const { hours, error: hoursError } = businessHoursFromQuery(req.query);
+    if (hoursError) return sendJson(res, 400, { error: hoursError });
+    const { filter, error: filterError } = fleetFilterFromQuery(req.query);
+    if (filterError) return sendJson(res, 400, { error: filterError });
+
+    const creds = booqableCredentials();
+    if (!creds) return sendError(res, missingCredentialsError());
+    const booqable = createBooqableClient(creds);
+    const debug = createDebug();
+
+    const { timezone, days, cars, intervalsByProduct } = await loadFleetWindow(
+      booqable,
+      CLEANING_WINDOW,
+      debug,
+      filter
+    );
+
+    const queue = cleaningQueue({
+      cars,
+      intervalsByProduct,
+      nowMs: now(),
+      timezone,
+      hours,
+      thresholds,
+    });
+    // Section entries are the same objects as `returns`
+    const statuses = await getStatuses(queue.returns.map((item) => item.planningId));
+    for (const item of queue.returns) item.cleaning = statuses[item.planningId] || null;
+
+    return sendJson(
+      res,
+      200,
+      {
+        timezone,
+        today: days[1].date,
+        partial: debug.planningsPartial,
+        ...queue,
+      },
+      debug.planningsPartial ? 0 : 10
+    );
+  } catch (e) {
+    return sendError(res, e);
+  }
+}
+
+export default withMetrics("cleaning", handler);
@@ -0,0 +1,71 @@
+// api/cleaning/history.js
+//
+// Cleaning audit: /api/cleaning/history
+//
+// Every ready/cleaned/cleared mark (newest first) plus turnaround stats per car
+// and per cleaner: how many returns were cleaned, average minutes from return
+// to cleaned, and from "ready to clean" to cleaned.
+//
+// Query params (all optional):
+// - car=<id|slug>
+// - cleaner=<name>          (case-insensitive)
+// - from=YYYY-MM-DD         marks on/after this local date
+// - to=YYYY-MM-DD           marks on/before this local date (inclusive)
+//
+// Staff only (lib/auth.js). Storage: lib/cleaningStatus.js.
+
+import { requireStaff } from "../../lib/auth.js";
+import { booqableCredentials, createBooqableClient } from "../../lib/booqable.js";
+import { cleaningHistory } from "../../lib/cleaningStatus.js";
+import { missingCredentialsError } from "../../lib/errors.js";
+import { createDebug, fetchCatalog, findCar } from "../../lib/fleet.js";
+import { sendError, sendJson } from "../../lib/http.js";
+import { withMetrics } from "../../lib/metrics.js";
+import { parseISODateParts, zonedTimeToUtcMs } from "../../lib/time.js";
+
+// Local date param -> UTC ms of its midnight (+ addDays), null when absent, or { error }.
+function dateParam(query, name, timezone, addDays = 0) {
+  if (!query[name]) return { ms: null };
+  const parts = parseISODateParts(query[name]);
+  if (!parts) return { error: `Invalid ${name} date '${query[name]}' (expected YYYY-MM-DD)` };
+  return { ms: zonedTimeToUtcMs(parts.y, parts.m, parts.d + addDays, 0, 0, 0, timezone) };
+}
+
+async function handler(req, res) {
+  try {
+    if (!requireStaff(req, res)) return;
+
+    const creds = booqableCredentials();
+    if (!creds) return sendError(res, missingCredentialsError());
+    // Timezone for the dates, and car names/slugs
+    const { timezone, cars } = await fetchCatalog(createBooqableClient(creds), createDebug());
+
+    const carKey = String(req.query.car || "").trim();
+    const car = carKey ? findCar(cars, carKey) : null;
+    if (carKey && !car) return sendJson(res, 404, { error: `Unknown car '${carKey}'` });
+
+    const from = dateParam(req.query, "from", timezone);
+    if (from.error) return sendJson(res, 400, { error: from.error });
+    const to = dateParam(req.query, "to", timezone, 1);
+    if (to.error) return sendJson(res, 400, { error: to.error });
+
+    const history = await cleaningHistory({
+      carId: car?.id,
+      cleaner: req.query.cleaner ? String(req.query.cleaner) : null,
+      fromMs: from.ms,
+      tillMs: to.ms,
+    });
+
+    const carName = (id) => cars.find((c) => c.id === id)?.name ?? null;
+    return sendJson(res, 200, {
+      timezone,
+      entries: history.entries.map((e) => ({ ...e, carName: carName(e.carId) })),
+      byCar: history.byCar.map((g) => ({ ...g, carName: carName(g.carId) })),
+      byCleaner: history.byCleaner,
+    });
+  } catch (e) {
+    return sendError(res, e);
+  }
+}
+
+export default withMetrics("cleaning/history", handler);
@@ -0,0 +1,54 @@
+// api/cleaning/status.js
+//
+// Cleaning status of returns: /api/cleaning/status
+//
+// - GET  ?planning=<id>[,<id>...]   current statuses by planning id (all without planning=)
+// - POST { planningId, carId, status, by, returnAt? }
+//        status: ready | cleaned | cleared (or null); by: the cleaner's name;
+//        returnAt: the return's ISO time from /api/cleaning, for turnaround stats
+//
+// Changes are announced via lib/changes.js (event "cleaning.<status>") so other
+// open cleaning pages update. Storage and history: lib/cleaningStatus.js.
+//
+// Staff only (lib/auth.js).
+
+import { requireStaff } from "../../lib/auth.js";
+import { recordChange } from "../../lib/changes.js";
+import { getStatuses, setStatus } from "../../lib/cleaningStatus.js";
+import { readBody, sendError, sendJson } from "../../lib/http.js";
+import { withMetrics } from "../../lib/metrics.js";
+
+async function handler(req, res) {
+  try {
+    if (!requireStaff(req, res)) return;
+
+    if (req.method === "GET") {
+      const ids = String(req.query.planning || "")
+        .split(",")
+        .map((s) => s.trim())
+        .filter(Boolean);
+      return sendJson(res, 200, { statuses: await getStatuses(ids.length ? ids : null) });
+    }
+
+    if (req.method !== "POST") {
+      res.setHeader("Allow", "GET, POST");
+      return sendJson(res, 405, { error: "Use GET or POST" });
+    }
+
+    let body;
+    try {
+      body = await readBody(req);
+    } catch {
+      return sendJson(res, 400, { error: "Body must be JSON or form-encoded" });
+    }
+
+    const { entry, error } = await setStatus(body);
+    if (error) return sendJson(res, 400, { error });
+    await recordChange(`cleaning.${entry ? entry.status : "cleared"}`);
+    return sendJson(res, 200, { planningId: String(body.planningId).trim(), status: entry });
+  } catch (e) {
+    return sendError(res, e);
+  }
+}
+
+export default withMetrics("cleaning/status", handler);
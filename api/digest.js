@@ -0,0 +1,168 @@
+// api/digest.js
+//
+// Daily digest job: /api/digest
+//
+// Builds tomorrow's summary (first pickups, late returns to clean early, cars
+// with no bookings, gaps under minRentableGapHours, out of service, overdue;
+// see lib/digest.js) and sends it to every configured destination:
+// - DIGEST_WEBHOOK_URL     POST { text } (Slack / Teams incoming webhook);
+//                          DIGEST_WEBHOOK_FORMAT=json also sends { digest } data
+// - SMTP_URL + DIGEST_EMAIL_TO (comma-separated) + DIGEST_EMAIL_FROM   plain-text email
+//
+// Query params:
+// - dryRun=1               render and return the message, send nothing
+// - date=YYYY-MM-DD        day to summarise (default: tomorrow)
+// - minRentableGapHours=N, lateReturnCutoff=HH:MM, location=<key>, category=<key>
+//
+// For a schedule, call it from a cron trigger, e.g. in vercel.json:
+//   "crons": [{ "path": "/api/digest", "schedule": "0 8 * * *" }]   (UTC)
+// Vercel cron sends Authorization: Bearer <CRON_SECRET>; staff can call it too.
+//
+// 502 with code DELIVERY_FAILED when any destination failed (per channel in `sent`).
+
+import { minRentableGapHoursFromQuery } from "../lib/availability.js";
+import { isCronRequest, requireStaff } from "../lib/auth.js";
+import { booqableCredentials, createBooqableClient } from "../lib/booqable.js";
+import { cleaningThresholdsFromQuery } from "../lib/cleaning.js";
+import { buildDigest, renderDigestText } from "../lib/digest.js";
+import { missingCredentialsError } from "../lib/errors.js";
+import { createDebug, loadFleetWindow } from "../lib/fleet.js";
+import { fleetFilterFromQuery } from "../lib/fleetConfig.js";
+import { businessHoursFromQuery } from "../lib/hours.js";
+import { sendError, sendJson } from "../lib/http.js";
+import { count, withMetrics } from "../lib/metrics.js";
+import { sendMail } from "../lib/smtp.js";
+import { parseISODateParts } from "../lib/time.js";
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+async function postWebhook(url, text, digest) {
+  const body = process.env.DIGEST_WEBHOOK_FORMAT === "json" ? { text, digest } : { text };
+  const r = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+  });
+  if (!r.ok) throw new Error(`Webhook returned ${r.status}`);
+}
+
+// Configured destinations: [{ channel, send(text, digest) }]
+function destinations(subject) {
+  const out = [];
+  if (process.env.DIGEST_WEBHOOK_URL) {
+    out.push({
+      channel: "webhook",
+      send: (text, digest) => postWebhook(process.env.DIGEST_WEBHOOK_URL, text, digest),
+    });
+  }
+  if (process.env.SMTP_URL && process.env.DIGEST_EMAIL_TO) {
+    const to = process.env.DIGEST_EMAIL_TO.split(",").map((s) => s.trim()).filter(Boolean);
+    out.push({
+      channel: "email",
+      send: (text) =>
+        sendMail({
+          smtpUrl: process.env.SMTP_URL,
+          from: process.env.DIGEST_EMAIL_FROM || to[0],
+          to,
+          subject,
+          // Slack-style *bold* means nothing in a plain-text email
+          text: text.replace(/\*([^*\n]+)\*/g, "$1"),
+        }),
+    });
+  }
+  return out;
+}
+
+async function handler(req, res) {
+  try {
+    if (!isCronRequest(req) && !requireStaff(req, res)) return;
+
+    const dryRun = req.query.dryRun === "1" || req.query.dryRun === "true";
+
+    const date = req.query.date ? parseISODateParts(String(req.query.date)) : null;
+    if (req.query.date && !date) {
+      return sendJson(res, 400, { error: `Invalid date '${req.query.date}' (expected YYYY-MM-DD)` });
+    }
+
+    const minRentableGapHours = minRentableGapHoursFromQuery(req.query);
+    const { hours, error: hoursError } = businessHoursFromQuery(req.query);
+    if (hoursError) return sendJson(res, 400, { error: hoursError });
+    const { thresholds, error } = cleaningThresholdsFromQuery(req.query);
+    if (error) return sendJson(res, 400, { error });
+    const { filter, error: filterError } = fleetFilterFromQuery(req.query);
+    if (filterError) return sendJson(res, 400, { error: filterError });
+
+    const creds = booqableCredentials();
+    if (!creds) return sendError(res, missingCredentialsError());
+    const booqable = createBooqableClient(creds);
+    const debug = createDebug();
+
+    // The day before too, for last night's late returns
+    const windowQuery = date
+      ? { from: { ...date, d: date.d - 1 }, days: 2 }
+      : { from: null, offsetDays: 0, days: 2 };
+    const { timezone, days, cars, intervalsByProduct } = await loadFleetWindow(
+      booqable,
+      windowQuery,
+      debug,
+      filter
+    );
+
+    const digest = buildDigest({
+      cars,
+      intervalsByProduct,
+      day: days[1],
+      timezone,
+      hours,
+      minRentableGapHours,
+      thresholds,
+    });
+    let text = renderDigestText(digest, timezone);
+    if (debug.planningsPartial) {
+      text += "\n\n(Booqable was slow: some bookings may be missing.)";
+    }
+
+    const subject = `Bubblegum Cars — ${digest.label}`;
+    const targets = destinations(subject);
+    if (dryRun) {
+      return sendJson(res, 200, {
+        dryRun: true,
+        destinations: targets.map((t) => t.channel),
+        partial: debug.planningsPartial,
+        subject,
+        text,
+        digest,
+      });
+    }
+    if (targets.length === 0) {
+      return sendJson(res, 500, {
+        error: "No digest destination: set DIGEST_WEBHOOK_URL, or SMTP_URL and DIGEST_EMAIL_TO",
+        code: "NOT_CONFIGURED",
+      });
+    }
+
+    const sent = [];
+    for (const t of targets) {
+      try {
+        await t.send(text, digest);
+        sent.push({ channel: t.channel, ok: true });
+      } catch (e) {
+        count(`digestFailed.${t.channel}`);
+        sent.push({ channel: t.channel, ok: false, error: e.message });
+      }
+    }
+
+    const failed = sent.filter((s) => !s.ok).map((s) => s.channel);
+    return sendJson(res, failed.length ? 502 : 200, {
+      ...(failed.length && { error: `Digest not delivered via ${failed.join(", ")}`, code: "DELIVERY_FAILED" }),
+      date: digest.date,
+      partial: debug.planningsPartial,
+      sent,
+    });
+  } catch (e) {
+    return sendError(res, e);
+  }
+}
+
+export default withMetrics("digest", handler);
@@ -0,0 +1,81 @@
+// api/dispatch.js
+//
+// Front-desk run-sheet: /api/dispatch
+//
+// Every pickup and return on one day in time order, with car, order number and
+// customer name. A return followed by the same car's next pickup that day is
+// grouped as a swap, flagged `tight` when the gap is short. Today's sheet also
+// lists overdue returns from earlier days (`carriedOver`). See lib/dispatch.js.
+//
+// Query params:
+// - date=YYYY-MM-DD        (default: today, account timezone)
+// - tightGapMinutes=60     (default from env DISPATCH_TIGHT_GAP_MINUTES)
+// - category=<key>, location=<key>   only those cars (config/fleet.json)
+//
+// Printable page: dispatch.html. Staff only (lib/auth.js).
+
+import { requireStaff } from "../lib/auth.js";
+import { booqableCredentials, createBooqableClient } from "../lib/booqable.js";
+import { dispatchBoard, tightGapFromQuery } from "../lib/dispatch.js";
+import { missingCredentialsError } from "../lib/errors.js";
+import { createDebug, loadFleetWindow } from "../lib/fleet.js";
+import { fleetFilterFromQuery } from "../lib/fleetConfig.js";
+import { sendError, sendJson } from "../lib/http.js";
+import { withMetrics } from "../lib/metrics.js";
+import { parseISODateParts } from "../lib/time.js";
+
+async function handler(req, res) {
+  try {
+    if (!requireStaff(req, res)) return;
+
+    const from = req.query.date ? parseISODateParts(String(req.query.date)) : null;
+    if (req.query.date && !from) {
+      return sendJson(res, 400, { error: `Invalid date '${req.query.date}' (expected YYYY-MM-DD)` });
+    }
+
+    const { tightGapMinutes, error } = tightGapFromQuery(req.query);
+    if (error) return sendJson(res, 400, { error });
+    const { filter, error: filterError } = fleetFilterFromQuery(req.query);
+    if (filterError) return sendJson(res, 400, { error: filterError });
+
+    const creds = booqableCredentials();
+    if (!creds) return sendError(res, missingCredentialsError());
+    const booqable = createBooqableClient(creds);
+    const debug = createDebug();
+
+    const { timezone, days, cars, intervalsByProduct } = await loadFleetWindow(
+      booqable,
+      { from, days: 1 },
+      debug,
+      filter
+    );
+    const [day] = days;
+
+    const { rows, counts } = dispatchBoard({
+      cars,
+      intervalsByProduct,
+      day,
+      timezone,
+      tightGapMinutes,
+    });
+
+    return sendJson(
+      res,
+      200,
+      {
+        timezone,
+        date: day.date,
+        label: day.label,
+        tightGapMinutes,
+        partial: debug.planningsPartial,
+        counts,
+        rows,
+      },
+      debug.planningsPartial ? 0 : 10
+    );
+  } catch (e) {
+    return sendError(res, e);
+  }
+}
+
+export default withMetrics("dispatch", handler);
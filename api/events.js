@@ -0,0 +1,81 @@
+// api/events.js
+//
+// Server-Sent Events stream for the staff and cleaning pages: GET /api/events
+//
+// Sends `event: change` with { at, event } whenever a Booqable webhook records
+// a change (lib/changes.js). Webhooks usually land on another instance, so the
+// shared store is polled every EVENTS_POLL_MS; same-instance changes are pushed
+// immediately.
+//
+// Serverless functions can't hold a connection forever: the stream closes
+// after EVENTS_STREAM_SECONDS and the browser's EventSource reconnects (after
+// the `retry` delay). Pages keep polling /api/availability as a fallback.
+//
+// Staff only (the session cookie is sent by EventSource).
+//
+// Optional env vars:
+// - EVENTS_POLL_MS         (default 2000)
+// - EVENTS_STREAM_SECONDS  (default 25, keep below the function time limit)
+
+import { requireStaff } from "../lib/auth.js";
+import { latestChange, onChange } from "../lib/changes.js";
+
+const POLL_MS = Number(process.env.EVENTS_POLL_MS) || 2000;
+const STREAM_SECONDS = Number(process.env.EVENTS_STREAM_SECONDS) || 25;
+const HEARTBEAT_MS = 15000;
+const RECONNECT_MS = 3000;
+
+function writeEvent(res, name, data) {
+  res.write(`event: ${name}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+export default async function handler(req, res) {
+  if (!requireStaff(req, res)) return;
+
+  res.statusCode = 200;
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-store");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no");
+
+  // Reconnects send Last-Event-ID, so a change during the gap isn't missed
+  let lastAt = Number(req.headers["last-event-id"]) || (await latestChange()).at;
+
+  res.write(`retry: ${RECONNECT_MS}\n\n`);
+  res.write(`id: ${lastAt}\n`);
+  writeEvent(res, "hello", { at: lastAt });
+
+  const send = (change) => {
+    if (!change || change.at <= lastAt) return;
+    lastAt = change.at;
+    res.write(`id: ${change.at}\n`);
+    writeEvent(res, "change", change);
+  };
+
+  // Resolve only when the stream ends, so the function stays alive meanwhile
+  await new Promise((resolve) => {
+    let closed = false;
+    const timers = [];
+    const unsubscribe = onChange(send);
+
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      unsubscribe();
+      for (const t of timers) clearInterval(t);
+      res.end();
+      resolve();
+    };
+
+    timers.push(
+      setInterval(async () => {
+        const change = await latestChange();
+        if (!closed) send(change);
+      }, POLL_MS),
+      setInterval(() => res.write(": keep-alive\n\n"), HEARTBEAT_MS),
+      setInterval(close, STREAM_SECONDS * 1000)
+    );
+
+    req.on("close", close);
+  });
+}
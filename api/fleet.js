@@ -0,0 +1,71 @@
+// api/fleet.js
+//
+// Fleet classification diagnostics: /api/fleet
+//
+// Every Booqable product with whether it counts as a car and the rule that
+// decided it (include/exclude list, add-on keyword, product type, trackable,
+// shown in store), its product group and tags, and the categories and
+// location it falls in. Rules come from config/fleet.json (lib/fleetConfig.js).
+//
+// Query params:
+// - cars=1       only products classified as cars
+// - excluded=1   only products that aren't
+//
+// Always fetched live (the cached catalog only keeps cars). Staff only (lib/auth.js).
+
+import { requireStaff } from "../lib/auth.js";
+import { booqableCredentials, createBooqableClient } from "../lib/booqable.js";
+import { missingCredentialsError } from "../lib/errors.js";
+import { createDebug, fetchProducts } from "../lib/fleet.js";
+import { fleetCategories, fleetLocations } from "../lib/fleetConfig.js";
+import { sendError, sendJson } from "../lib/http.js";
+import { withMetrics } from "../lib/metrics.js";
+
+const isOn = (v) => v === "1" || v === "true";
+
+async function handler(req, res) {
+  try {
+    if (!requireStaff(req, res)) return;
+
+    const creds = booqableCredentials();
+    if (!creds) return sendError(res, missingCredentialsError());
+
+    const classified = await fetchProducts(createBooqableClient(creds), createDebug());
+
+    const products = classified
+      .map(({ product, ...c }) => {
+        const a = product.attributes || {};
+        return {
+          id: product.id,
+          name: (a.name || "").trim(),
+          slug: a.slug ?? null,
+          productType: a.product_type ?? null,
+          trackable: a.trackable ?? null,
+          showInStore: a.show_in_store ?? null,
+          isCar: c.isCar,
+          rule: c.rule,
+          group: c.group,
+          tags: c.tags,
+          categories: c.categories,
+          location: c.location,
+        };
+      })
+      .filter((p) => (!isOn(req.query.cars) || p.isCar) && (!isOn(req.query.excluded) || !p.isCar))
+      .sort((a, b) => Number(b.isCar) - Number(a.isCar) || a.name.localeCompare(b.name, "en"));
+
+    return sendJson(res, 200, {
+      counts: {
+        products: classified.length,
+        cars: classified.filter((p) => p.isCar).length,
+        excluded: classified.filter((p) => !p.isCar).length,
+      },
+      categories: fleetCategories(),
+      locations: fleetLocations(),
+      products,
+    });
+  } catch (e) {
+    return sendError(res, e);
+  }
+}
+
+export default withMetrics("fleet", handler);
@@ -0,0 +1,71 @@
+// api/health.js
+//
+// Health check for uptime monitors: /api/health
+//
+// - credentials  Booqable credentials are configured
+// - booqable     Booqable answers /settings/current: latencyMs, or the error
+//                code (lib/errors.js) when it doesn't; probedAt. Public, so the
+//                probe is cached for HEALTH_PROBE_CACHE_SECONDS (default 15)
+//                and monitors polling it can't hammer Booqable
+// - cache        age in seconds of the cached catalog and of the default staff
+//                view (null when not cached)
+//
+// 200 with status "ok" when Booqable is configured and answers, else 503 with
+// status "down". Public: no bookings, only codes and ages.
+
+import { MIN_RENTABLE_GAP_HOURS_DEFAULT } from "../lib/availability.js";
+import { booqableCredentials, createBooqableClient } from "../lib/booqable.js";
+import { cached, getLastGood } from "../lib/cache.js";
+import { describeError } from "../lib/errors.js";
+import { getBusinessHours } from "../lib/hours.js";
+import { sendJson } from "../lib/http.js";
+import { withMetrics } from "../lib/metrics.js";
+import { parseWindowQuery } from "../lib/window.js";
+import { payloadCacheKey } from "./availability.js";
+
+const PROBE_DEADLINE_MS = Number(process.env.HEALTH_PROBE_TIMEOUT_MS) || 3000;
+const PROBE_CACHE_MS = (Number(process.env.HEALTH_PROBE_CACHE_SECONDS) || 15) * 1000;
+
+async function probeBooqable(creds) {
+  if (!creds) return { ok: false, code: "NOT_CONFIGURED" };
+  const booqable = createBooqableClient(creds, { deadlineMs: PROBE_DEADLINE_MS, maxRequests: 2 });
+  const startMs = Date.now();
+  const probedAt = new Date(startMs).toISOString();
+  try {
+    await booqable("/settings/current");
+    return { ok: true, latencyMs: Date.now() - startMs, probedAt };
+  } catch (e) {
+    return { ok: false, code: describeError(e).code, latencyMs: Date.now() - startMs, probedAt };
+  }
+}
+
+async function cacheAgeSeconds(key) {
+  return (await getLastGood(key))?.ageSeconds ?? null;
+}
+
+async function handler(req, res) {
+  const creds = booqableCredentials();
+  const staffViewKey = payloadCacheKey({
+    windowQuery: parseWindowQuery({}),
+    minRentableGapHours: MIN_RENTABLE_GAP_HOURS_DEFAULT,
+    hours: getBusinessHours(null),
+    filter: { category: null, location: null },
+  });
+
+  const [booqable, catalogAge, staffViewAge] = await Promise.all([
+    creds ? cached("health-probe", PROBE_CACHE_MS, () => probeBooqable(creds)) : probeBooqable(null),
+    cacheAgeSeconds("catalog"),
+    cacheAgeSeconds(staffViewKey),
+  ]);
+
+  const ok = Boolean(creds) && booqable.ok;
+  return sendJson(res, ok ? 200 : 503, {
+    status: ok ? "ok" : "down",
+    checkedAt: new Date().toISOString(),
+    credentials: Boolean(creds),
+    booqable,
+    cache: { catalogAgeSeconds: catalogAge, availabilityAgeSeconds: staffViewAge },
+  });
+}
+
+export default withMetrics("health", handler);
@@ -0,0 +1,105 @@
+// api/maintenance.js
+//
+// Out-of-service / maintenance blocks: /api/maintenance
+//
+// - GET    ?car=<id|slug>                          list (all cars without car=), plus the car list
+// - POST   { car, from, until, reason }            create -> 201 { block }
+// - PATCH  ?id=<block id>  { from?, until?, reason?, car? }   edit
+// - DELETE ?id=<block id>                          remove
+//
+// from/until are local datetimes (YYYY-MM-DDTHH:MM, account timezone) or ISO
+// with an offset. Changes are announced like Booqable webhooks (lib/changes.js),
+// so cached availability is bypassed and open pages reload.
+//
+// Staff only (lib/auth.js). Storage: lib/maintenance.js.
+
+import { requireStaff } from "../lib/auth.js";
+import { booqableCredentials, createBooqableClient } from "../lib/booqable.js";
+import { recordChange } from "../lib/changes.js";
+import { missingCredentialsError } from "../lib/errors.js";
+import { createDebug, fetchCatalog, findCar } from "../lib/fleet.js";
+import { readBody, sendError, sendJson } from "../lib/http.js";
+import { createBlock, deleteBlock, listBlocks, updateBlock } from "../lib/maintenance.js";
+import { withMetrics } from "../lib/metrics.js";
+import { fmtInstant } from "../lib/time.js";
+
+// Block plus car name/slug and local times for display.
+function describeBlock(block, cars, timezone) {
+  const car = cars.find((c) => c.id === block.carId);
+  return {
+    ...block,
+    car: { id: block.carId, name: car?.name ?? null, slug: car?.slug ?? null },
+    fromAt: fmtInstant(Date.parse(block.from), timezone),
+    untilAt: fmtInstant(Date.parse(block.until), timezone),
+  };
+}
+
+async function handler(req, res) {
+  try {
+    if (!requireStaff(req, res)) return;
+
+    if (!["GET", "POST", "PATCH", "DELETE"].includes(req.method)) {
+      res.setHeader("Allow", "GET, POST, PATCH, DELETE");
+      return sendJson(res, 405, { error: "Use GET, POST, PATCH or DELETE" });
+    }
+
+    const creds = booqableCredentials();
+    if (!creds) return sendError(res, missingCredentialsError());
+    // Timezone and the car list, to resolve car=<slug> and local times
+    const { timezone, cars } = await fetchCatalog(createBooqableClient(creds), createDebug());
+
+    const carParam = (value) => {
+      const key = String(value || "").trim();
+      return key ? { key, car: findCar(cars, key) } : { key: null, car: null };
+    };
+
+    if (req.method === "GET") {
+      const { key, car } = carParam(req.query.car);
+      if (key && !car) return sendJson(res, 404, { error: `Unknown car '${key}'` });
+      const blocks = await listBlocks({ carId: car?.id });
+      return sendJson(res, 200, {
+        timezone,
+        blocks: blocks.map((b) => describeBlock(b, cars, timezone)),
+        // for pickers in the editing page
+        cars: cars.map((c) => ({ id: c.id, name: c.name, slug: c.slug })),
+      });
+    }
+
+    const id = String(req.query.id || "").trim();
+    if (req.method === "DELETE") {
+      if (!id) return sendJson(res, 400, { error: "Missing id" });
+      if (!(await deleteBlock(id))) return sendJson(res, 404, { error: `Unknown block '${id}'` });
+      await recordChange("maintenance.deleted");
+      return sendJson(res, 200, { ok: true });
+    }
+
+    let body;
+    try {
+      body = await readBody(req);
+    } catch {
+      return sendJson(res, 400, { error: "Body must be JSON or form-encoded" });
+    }
+    const { key, car } = carParam(body.car);
+    if (key && !car) return sendJson(res, 404, { error: `Unknown car '${key}'` });
+
+    if (req.method === "POST") {
+      if (!car) return sendJson(res, 400, { error: "Missing car (product id or slug)" });
+      const { block, error } = await createBlock(car, body, timezone);
+      if (error) return sendJson(res, 400, { error });
+      await recordChange("maintenance.created");
+      return sendJson(res, 201, { block: describeBlock(block, cars, timezone) });
+    }
+
+    // PATCH
+    if (!id) return sendJson(res, 400, { error: "Missing id" });
+    const { block, error, notFound } = await updateBlock(id, body, timezone, car);
+    if (notFound) return sendJson(res, 404, { error: `Unknown block '${id}'` });
+    if (error) return sendJson(res, 400, { error });
+    await recordChange("maintenance.updated");
+    return sendJson(res, 200, { block: describeBlock(block, cars, timezone) });
+  } catch (e) {
+    return sendError(res, e);
+  }
+}
+
+export default withMetrics("maintenance", handler);
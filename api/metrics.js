@@ -0,0 +1,22 @@
+// api/metrics.js
+//
+// Counters and timings for the instance that answers: /api/metrics
+//
+// Booqable requests, 429 retries, timeouts and errors; pages fetched and
+// failed; plannings fetched, mapped and dropped (planningsDroppedNoRel,
+// planningsDroppedUnknownCar); cache hits; error responses by code; and
+// p50/p95/max latency per route. See lib/metrics.js for what's counted where.
+//
+// Numbers reset when the instance is replaced (a new instanceId).
+//
+// Staff only (lib/auth.js); also accepts Authorization: Bearer <CRON_SECRET>
+// for a scraper.
+
+import { isCronRequest, requireStaff } from "../lib/auth.js";
+import { sendJson } from "../lib/http.js";
+import { metricsSnapshot } from "../lib/metrics.js";
+
+export default async function handler(req, res) {
+  if (!isCronRequest(req) && !requireStaff(req, res)) return;
+  return sendJson(res, 200, metricsSnapshot());
+}
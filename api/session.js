@@ -0,0 +1,75 @@
+// api/session.js
+//
+// Staff login: /api/session
+//
+// - POST { secret }           -> sets the bgc_session cookie (12 hours)
+// - POST { secret, feed: 1 }  -> returns a long-lived feed-only token for
+//                                calendar URLs (?token=...), no cookie
+// - GET                       -> { authorised, scope }
+// - DELETE                    -> clears the cookie (log out)
+//
+// See lib/auth.js for the token format and env vars.
+
+import {
+  FEED_TTL_SECONDS,
+  SESSION_COOKIE,
+  SESSION_TTL_SECONDS,
+  createSessionToken,
+  isStaffSecret,
+  requestScope,
+} from "../lib/auth.js";
+import { missingStaffSecretError } from "../lib/errors.js";
+import { readBody, sendError, sendJson } from "../lib/http.js";
+import { withMetrics } from "../lib/metrics.js";
+
+function sessionCookie(value, maxAgeSeconds) {
+  return (
+    `${SESSION_COOKIE}=${encodeURIComponent(value)}; Path=/; HttpOnly; Secure; SameSite=Lax; ` +
+    `Max-Age=${maxAgeSeconds}`
+  );
+}
+
+async function handler(req, res) {
+  try {
+    if (!process.env.STAFF_API_SECRET) return sendError(res, missingStaffSecretError());
+
+    if (req.method === "GET") {
+      const scope = requestScope(req);
+      return sendJson(res, 200, { authorised: Boolean(scope), scope });
+    }
+
+    if (req.method === "DELETE") {
+      res.setHeader("Set-Cookie", sessionCookie("", 0));
+      return sendJson(res, 200, { ok: true });
+    }
+
+    if (req.method !== "POST") {
+      res.setHeader("Allow", "GET, POST, DELETE");
+      return sendJson(res, 405, { error: "Use GET, POST or DELETE" });
+    }
+
+    let body;
+    try {
+      body = await readBody(req);
+    } catch {
+      return sendJson(res, 400, { error: "Body must be JSON or form-encoded" });
+    }
+    if (!isStaffSecret(body.secret)) {
+      return sendJson(res, 401, { error: "Wrong staff password" });
+    }
+
+    const feed = body.feed === true || body.feed === 1 || body.feed === "1";
+    if (feed) {
+      const { token, expiresAt } = createSessionToken("feed", FEED_TTL_SECONDS);
+      return sendJson(res, 200, { scope: "feed", token, expiresAt: new Date(expiresAt).toISOString() });
+    }
+
+    const { token, expiresAt } = createSessionToken("staff", SESSION_TTL_SECONDS);
+    res.setHeader("Set-Cookie", sessionCookie(token, SESSION_TTL_SECONDS));
+    return sendJson(res, 200, { scope: "staff", expiresAt: new Date(expiresAt).toISOString() });
+  } catch (e) {
+    return sendError(res, e);
+  }
+}
+
+export default withMetrics("session", handler);
@@ -0,0 +1,83 @@
+// api/webhooks/booqable.js
+//
+// Booqable webhook receiver: POST /api/webhooks/booqable
+//
+// Order/planning events mark the availability data as changed (lib/changes.js),
+// which bypasses cached payloads and tells open /api/events streams to reload.
+// Product events also drop the cached car list. Anything else is acknowledged
+// and ignored so Booqable doesn't retry it.
+//
+// Signature: HMAC-SHA256 of the raw body with BOOQABLE_WEBHOOK_SECRET, sent in
+// X-Booqable-Signature (hex or base64, optionally prefixed "sha256=").
+// Unsigned or mis-signed requests get 401.
+//
+// Env vars:
+// - BOOQABLE_WEBHOOK_SECRET = <secret set on the Booqable webhook>
+
+import crypto from "node:crypto";
+
+import { invalidate } from "../../lib/cache.js";
+import { recordChange } from "../../lib/changes.js";
+import { readRawBody, sendError, sendJson } from "../../lib/http.js";
+import { withMetrics } from "../../lib/metrics.js";
+
+const SIGNATURE_HEADERS = ["x-booqable-signature", "x-webhook-signature", "x-signature"];
+const WATCHED_PREFIXES = ["order.", "orders.", "planning.", "plannings.", "product.", "products."];
+
+function signatureMatches(rawBody, header, secret) {
+  const given = String(header || "").trim().replace(/^sha256=/i, "");
+  if (!given) return false;
+
+  const digest = crypto.createHmac("sha256", secret).update(rawBody).digest();
+  const candidates = [Buffer.from(digest.toString("hex")), Buffer.from(digest.toString("base64"))];
+  const givenBuf = Buffer.from(given);
+  return candidates.some(
+    (c) => c.length === givenBuf.length && crypto.timingSafeEqual(c, givenBuf)
+  );
+}
+
+// Event name from the body ({ event }, { type }) or the X-Booqable-Event header.
+function eventName(req, body) {
+  return String(body?.event || body?.type || req.headers["x-booqable-event"] || "").toLowerCase();
+}
+
+async function handler(req, res) {
+  try {
+    if (req.method !== "POST") {
+      res.setHeader("Allow", "POST");
+      return sendJson(res, 405, { error: "Use POST" });
+    }
+
+    const secret = process.env.BOOQABLE_WEBHOOK_SECRET;
+    if (!secret) {
+      return sendJson(res, 500, { error: "Missing BOOQABLE_WEBHOOK_SECRET", code: "NOT_CONFIGURED" });
+    }
+
+    const rawBody = await readRawBody(req);
+    const header = SIGNATURE_HEADERS.map((h) => req.headers[h]).find(Boolean);
+    if (!signatureMatches(rawBody, header, secret)) {
+      return sendJson(res, 401, { error: "Invalid webhook signature" });
+    }
+
+    let body;
+    try {
+      body = JSON.parse(rawBody.toString("utf8") || "{}");
+    } catch {
+      return sendJson(res, 400, { error: "Webhook body is not JSON" });
+    }
+
+    const event = eventName(req, body);
+    if (!WATCHED_PREFIXES.some((p) => event.startsWith(p))) {
+      return sendJson(res, 200, { ok: true, ignored: event || "(no event name)" });
+    }
+
+    if (event.startsWith("product")) await invalidate("catalog");
+    const change = await recordChange(event);
+
+    return sendJson(res, 200, { ok: true, event, changedAt: change.at });
+  } catch (e) {
+    return sendError(res, e);
+  }
+}
+
+export default withMetrics("webhooks/booqable", handler);
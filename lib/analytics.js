@@ -0,0 +1,207 @@
+// lib/analytics.js
+//
+// Fleet utilisation over a period of local days.
+//
+// - bookedHours: pickup -> return time (unbuffered, overlapping bookings merged)
+// - utilisationPct: booked time inside opening hours / opening hours
+// - rentals: bookings whose pickup falls in the period
+// - idle gaps: ready-again time (buffered return rounded to business hours) -> next buffered pickup
+// - shortGaps: idle gaps under minRentableGapHours (too short to rent)
+//
+// Out-of-service blocks (lib/maintenance.js) are not rentals and are left out.
+
+import { openingSpanForDate, roundToBusinessHours } from "./hours.js";
+
+const WEEKDAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const toHours = (ms) => Math.round((ms / 3600000) * 100) / 100;
+const pct = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : null);
+
+function mergeRanges(ranges) {
+  const sorted = [...ranges].sort((a, b) => a.startMs - b.startMs);
+  const out = [];
+  for (const r of sorted) {
+    const last = out[out.length - 1];
+    if (last && r.startMs <= last.endMs) last.endMs = Math.max(last.endMs, r.endMs);
+    else out.push({ ...r });
+  }
+  return out;
+}
+
+function clippedMs(ranges, startMs, endMs) {
+  let total = 0;
+  for (const r of ranges) {
+    const s = Math.max(r.startMs, startMs);
+    const e = Math.min(r.endMs, endMs);
+    if (e > s) total += e - s;
+  }
+  return total;
+}
+
+// Monday (ISO week start) of a local date "YYYY-MM-DD".
+function weekStartOf(dateStr) {
+  const [y, m, d] = dateStr.split("-").map(Number);
+  const weekday = new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+  const back = (weekday + 6) % 7;
+  return new Date(Date.UTC(y, m - 1, d - back)).toISOString().slice(0, 10);
+}
+
+function weekdayOf(dateStr) {
+  const [y, m, d] = dateStr.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+}
+
+function emptyBucket() {
+  return { openMs: 0, bookedMs: 0, bookedOpenMs: 0 };
+}
+
+function bucketOut(b) {
+  return {
+    openHours: toHours(b.openMs),
+    bookedHours: toHours(b.bookedMs),
+    bookedOpenHours: toHours(b.bookedOpenMs),
+    utilisationPct: pct(b.bookedOpenMs, b.openMs),
+  };
+}
+
+// Per-car stats plus weekly/weekday buckets for one car.
+function carStats(ivals, days, spans, { periodStartMs, periodEndMs, minGapMs, timezone, hours }) {
+  const booked = mergeRanges(
+    ivals.map((iv) => ({ startMs: iv.startsRaw.getTime(), endMs: iv.stopsRaw.getTime() }))
+  );
+
+  const total = emptyBucket();
+  const weekly = new Map();
+  const weekdays = new Map();
+
+  days.forEach((day, i) => {
+    const span = spans[i];
+    const b = {
+      openMs: span ? span.endMs - span.startMs : 0,
+      bookedMs: clippedMs(booked, day.startUtcMs, day.endUtcMs),
+      bookedOpenMs: span ? clippedMs(booked, span.startMs, span.endMs) : 0,
+    };
+    const weekKey = weekStartOf(day.date);
+    const weekdayKey = weekdayOf(day.date);
+    for (const [map, key] of [[weekly, weekKey], [weekdays, weekdayKey]]) {
+      if (!map.has(key)) map.set(key, emptyBucket());
+      const agg = map.get(key);
+      agg.openMs += b.openMs;
+      agg.bookedMs += b.bookedMs;
+      agg.bookedOpenMs += b.bookedOpenMs;
+    }
+    total.openMs += b.openMs;
+    total.bookedMs += b.bookedMs;
+    total.bookedOpenMs += b.bookedOpenMs;
+  });
+
+  const rentals = ivals.filter((iv) => {
+    const pickupMs = iv.startsRaw.getTime();
+    return pickupMs >= periodStartMs && pickupMs < periodEndMs;
+  });
+  const rentalMs = rentals.reduce((sum, iv) => sum + (iv.stopsRaw.getTime() - iv.startsRaw.getTime()), 0);
+
+  // Idle gaps between consecutive bookings, counted when the next pickup is in the period
+  const gaps = [];
+  for (let i = 1; i < ivals.length; i++) {
+    const next = ivals[i];
+    if (next.startMs < periodStartMs || next.startMs >= periodEndMs) continue;
+    const readyMs = Math.max(
+      ...ivals.slice(0, i).map((iv) => roundToBusinessHours(iv.endMs, timezone, hours))
+    );
+    const gapMs = next.startMs - readyMs;
+    if (gapMs > 0) gaps.push(gapMs);
+  }
+
+  return {
+    total,
+    weekly,
+    weekdays,
+    rentals: rentals.length,
+    rentalMs,
+    gaps,
+    shortGaps: gaps.filter((g) => g < minGapMs).length,
+  };
+}
+
+function summary(s) {
+  return {
+    ...bucketOut(s.total),
+    rentals: s.rentals,
+    avgRentalHours: s.rentals ? toHours(s.rentalMs / s.rentals) : null,
+    idleGaps: s.gaps.length,
+    avgIdleGapHours: s.gaps.length ? toHours(s.gaps.reduce((a, b) => a + b, 0) / s.gaps.length) : null,
+    shortGaps: s.shortGaps,
+  };
+}
+
+export function fleetAnalytics({ cars, intervalsByProduct, days, minRentableGapHours, timezone, hours }) {
+  const spans = days.map((d) => openingSpanForDate(d.date, timezone, hours));
+  const ctx = {
+    periodStartMs: days[0].startUtcMs,
+    periodEndMs: days[days.length - 1].endUtcMs,
+    minGapMs: minRentableGapHours * 3600000,
+    timezone,
+    hours,
+  };
+
+  const perCar = cars.map((car) => ({
+    car,
+    stats: carStats(
+      (intervalsByProduct.get(car.id) || []).filter((iv) => !iv.maintenance),
+      days,
+      spans,
+      ctx
+    ),
+  }));
+
+  // Fleet totals are car-hours: sums over cars (opening hours count once per car)
+  const fleet = {
+    total: emptyBucket(),
+    weekly: new Map(),
+    weekdays: new Map(),
+    rentals: 0,
+    rentalMs: 0,
+    gaps: [],
+    shortGaps: 0,
+  };
+  for (const { stats } of perCar) {
+    for (const k of ["openMs", "bookedMs", "bookedOpenMs"]) fleet.total[k] += stats.total[k];
+    for (const name of ["weekly", "weekdays"]) {
+      for (const [key, b] of stats[name]) {
+        if (!fleet[name].has(key)) fleet[name].set(key, emptyBucket());
+        const agg = fleet[name].get(key);
+        for (const k of ["openMs", "bookedMs", "bookedOpenMs"]) agg[k] += b[k];
+      }
+    }
+    fleet.rentals += stats.rentals;
+    fleet.rentalMs += stats.rentalMs;
+    fleet.gaps.push(...stats.gaps);
+    fleet.shortGaps += stats.shortGaps;
+  }
+
+  const breakdown = (name, keys, label) =>
+    keys.map((key) => ({
+      [label]: name === "weekdays" ? WEEKDAY_NAMES[key] : key,
+      fleet: bucketOut(fleet[name].get(key) || emptyBucket()),
+      cars: Object.fromEntries(
+        perCar.map(({ car, stats }) => [
+          car.slug || car.id,
+          pct(stats[name].get(key)?.bookedOpenMs || 0, stats[name].get(key)?.openMs || 0),
+        ])
+      ),
+    }));
+
+  const weekKeys = [...new Set(days.map((d) => weekStartOf(d.date)))];
+  // Monday first
+  const weekdayKeys = [1, 2, 3, 4, 5, 6, 0].filter((k) => fleet.weekdays.has(k));
+
+  return {
+    fleet: { cars: cars.length, ...summary(fleet) },
+    cars: perCar
+      .map(({ car, stats }) => ({ id: car.id, name: car.name, slug: car.slug, ...summary(stats) }))
+      .sort((a, b) => a.name.localeCompare(b.name, "en")),
+    weekly: breakdown("weekly", weekKeys, "weekStart"),
+    byWeekday: breakdown("weekdays", weekdayKeys, "weekday"),
+  };
+}
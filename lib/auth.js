@@ -0,0 +1,121 @@
+// lib/auth.js
+//
+// Staff access control for the API routes.
+//
+// A caller is staff when it presents either:
+// - the shared secret STAFF_API_SECRET (Authorization: Bearer <secret>), or
+// - a signed session token from /api/session, as the bgc_session cookie,
+//   Authorization: Bearer <token>, or ?token=<token> (calendar feed URLs; feed
+//   tokens only, since URLs end up in logs and browser history).
+//
+// Tokens are base64url(JSON { scope, exp }) + "." + HMAC-SHA256 signature,
+// signed with AUTH_SESSION_SECRET (defaults to STAFF_API_SECRET, so changing
+// the shared secret logs everyone out). Scopes:
+// - staff  everything (browser sessions)
+// - feed   iCalendar feeds only (long-lived, safe to paste into a calendar app)
+//
+// Scheduled jobs (Vercel cron) authenticate with Authorization: Bearer <CRON_SECRET>
+// instead; see isCronRequest.
+//
+// Env vars:
+// - STAFF_API_SECRET     = <shared staff password>
+// - AUTH_SESSION_SECRET  = <signing key> (optional)
+// - CRON_SECRET          = <secret the scheduler sends> (optional)
+
+import crypto from "node:crypto";
+
+import { missingStaffSecretError } from "./errors.js";
+import { sendError, sendJson } from "./http.js";
+
+export const SESSION_COOKIE = "bgc_session";
+export const SESSION_TTL_SECONDS = 12 * 3600;
+export const FEED_TTL_SECONDS = 365 * 24 * 3600;
+
+function staffSecret() {
+  return process.env.STAFF_API_SECRET || null;
+}
+
+function signingKey() {
+  return process.env.AUTH_SESSION_SECRET || staffSecret();
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function sign(data) {
+  return crypto.createHmac("sha256", signingKey()).update(data).digest("base64url");
+}
+
+// True when `secret` is the shared staff secret.
+export function isStaffSecret(secret) {
+  const expected = staffSecret();
+  return Boolean(expected && secret) && safeEqual(secret, expected);
+}
+
+// Signed token: { token, expiresAt (ms) }
+export function createSessionToken(scope = "staff", ttlSeconds = SESSION_TTL_SECONDS) {
+  const exp = Date.now() + ttlSeconds * 1000;
+  const data = Buffer.from(JSON.stringify({ scope, exp })).toString("base64url");
+  return { token: `${data}.${sign(data)}`, expiresAt: exp };
+}
+
+// Token payload { scope, exp } if the signature is valid and not expired, else null.
+export function verifySessionToken(token) {
+  const [data, signature] = String(token || "").split(".");
+  if (!data || !signature || !signingKey() || !safeEqual(signature, sign(data))) return null;
+  try {
+    const payload = JSON.parse(Buffer.from(data, "base64url").toString("utf8"));
+    return payload.exp > Date.now() ? payload : null;
+  } catch {
+    return null;
+  }
+}
+
+function cookieValue(req, name) {
+  for (const part of String(req.headers.cookie || "").split(";")) {
+    const [k, ...v] = part.trim().split("=");
+    if (k === name) return decodeURIComponent(v.join("="));
+  }
+  return null;
+}
+
+// Scope the request is authorised for ("staff" | "feed"), or null.
+export function requestScope(req) {
+  const bearer = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "")?.[1]?.trim();
+  if (bearer && isStaffSecret(bearer)) return "staff";
+
+  for (const token of [bearer, cookieValue(req, SESSION_COOKIE)]) {
+    const payload = token ? verifySessionToken(token) : null;
+    if (payload) return payload.scope;
+  }
+  const fromQuery = req.query?.token ? verifySessionToken(req.query.token) : null;
+  return fromQuery?.scope === "feed" ? "feed" : null;
+}
+
+// True when the request carries CRON_SECRET (Vercel cron sends it as a Bearer token).
+export function isCronRequest(req) {
+  const expected = process.env.CRON_SECRET;
+  const bearer = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "")?.[1]?.trim();
+  return Boolean(expected && bearer) && safeEqual(bearer, expected);
+}
+
+// Guard for staff routes: sends 401 (or 500 when unconfigured) and returns false
+// unless the caller has one of `scopes`. Authorised responses are marked so
+// lib/http.js keeps them out of the shared CDN cache.
+export function requireStaff(req, res, { scopes = ["staff"] } = {}) {
+  if (!staffSecret()) {
+    sendError(res, missingStaffSecretError());
+    return false;
+  }
+  const scope = requestScope(req);
+  if (!scope || !scopes.includes(scope)) {
+    res.setHeader("WWW-Authenticate", 'Bearer realm="bubblegum-availability"');
+    sendJson(res, 401, { error: "Unauthorised: staff login required" });
+    return false;
+  }
+  res.staffOnly = true;
+  return true;
+}
@@ -0,0 +1,344 @@
+// lib/availability.js
+//
+// Availability rules shared by the API routes:
+// - a car returned outside business hours is ready at the next opening (roundToBusinessHours)
+// - gaps shorter than minRentableGapHours can't realistically be rented
+
+import { isOpenAt, roundToBusinessHours } from "./hours.js";
+import { fmtInstant, fmtNextAvailable, overlap } from "./time.js";
+
+export const MIN_RENTABLE_GAP_HOURS_DEFAULT = 4;
+
+export function minRentableGapHoursFromQuery(query) {
+  return Number(query.minRentableGapHours || "") || MIN_RENTABLE_GAP_HOURS_DEFAULT;
+}
+
+// "Next available" label for a car, plus the reasoning behind it.
+//
+// Returns { nextAvailable, nextAvailableAtMs, reasons } where nextAvailableAtMs is
+// null for "Available now" and reasons lists each decision in order, e.g.
+// { planningId, decision: "gap-too-short", readyAt, nextStartsAt, gapHours }.
+export function nextAvailableFor({ ivals, nowMs, timezone, hours, minRentableGapHours }) {
+  const reasons = [];
+  const at = (ms) => fmtInstant(ms, timezone);
+
+  // booked now if any interval contains now
+  const bookedNow = ivals.some((iv) => nowMs >= iv.startMs && nowMs < iv.endMs);
+  
+  // Check if we're currently in business hours (opening hours config)
+  const isBusinessHours = isOpenAt(nowMs, timezone, hours);
+
+  // Only show "Available now" if not booked AND during business hours
+  if (!bookedNow && isBusinessHours) {
+    reasons.push({ decision: "available-now" });
+    return { nextAvailable: "Available now", nextAvailableAtMs: null, reasons };
+  }
+  reasons.push({ decision: bookedNow ? "booked-now" : "outside-business-hours" });
+
+  const result = (ms) => ({
+    nextAvailable: fmtNextAvailable(new Date(ms), timezone),
+    nextAvailableAtMs: ms,
+    reasons,
+  });
+
+  // Find the next available slot
+  for (let i = 0; i < ivals.length; i++) {
+    const iv = ivals[i];
+
+    // Skip past bookings
+    if (nowMs >= iv.endMs) {
+      reasons.push({ planningId: iv.planningId, decision: "past" });
+      continue;
+    }
+
+    // Round this interval's end to business hours
+    const roundedEndMs = roundToBusinessHours(iv.endMs, timezone, hours);
+    
+    // Check if the next interval starts BEFORE our rounded available time
+    const nextInterval = ivals[i + 1];
+    
+    if (!nextInterval) {
+      // No more bookings after this one
+      reasons.push({ planningId: iv.planningId, decision: "last-booking", readyAt: at(roundedEndMs) });
+      return result(roundedEndMs);
+    }
+    
+    // Calculate the gap between this booking ending and next one starting
+    const gapMs = nextInterval.startMs - roundedEndMs;
+    const step = {
+      planningId: iv.planningId,
+      readyAt: at(roundedEndMs),
+      nextPlanningId: nextInterval.planningId,
+      nextStartsAt: at(nextInterval.startMs),
+      gapHours: Math.round((gapMs / 3600000) * 100) / 100,
+    };
+    
+    // Only consider this slot available if gap is at least minimum rentable hours
+    if (gapMs >= minRentableGapHours * 3600000) {
+      reasons.push({ ...step, decision: "gap-long-enough" });
+      return result(roundedEndMs);
+    }
+    
+    // Gap too short, skip to next interval
+    reasons.push({ ...step, decision: "gap-too-short", minRentableGapHours });
+  }
+
+  // If we're outside business hours, not currently booked, and have no future bookings
+  if (!bookedNow && ivals.length === 0) {
+    // Round current time to next opening
+    reasons.push({ decision: "no-bookings-next-opening" });
+    return result(roundToBusinessHours(nowMs, timezone, hours));
+  }
+  
+  // Fallback for edge cases
+  const last = ivals[ivals.length - 1];
+  if (last) {
+    reasons.push({ planningId: last.planningId, decision: "fallback-after-last-booking" });
+    return result(roundToBusinessHours(last.endMs, timezone, hours));
+  }
+
+  // No bookings at all, round current time to next business hours
+  reasons.push({ decision: "fallback-next-opening" });
+  return result(roundToBusinessHours(nowMs, timezone, hours));
+}
+
+// Busy blocks per car: buffered start -> buffered end rounded to business hours.
+// Overlapping blocks are merged.
+function busyBlocks(ivals, timezone, hours) {
+  const blocks = ivals
+    .map((iv) => ({
+      startMs: iv.startMs,
+      endMs: roundToBusinessHours(iv.endMs, timezone, hours),
+    }))
+    .sort((a, b) => a.startMs - b.startMs);
+
+  const merged = [];
+  for (const b of blocks) {
+    const last = merged[merged.length - 1];
+    if (last && b.startMs <= last.endMs) {
+      last.endMs = Math.max(last.endMs, b.endMs);
+    } else {
+      merged.push({ ...b });
+    }
+  }
+  return merged;
+}
+
+// When the car is (or was) back from a booking: the check-in if it came back
+// early, else when it's due.
+export function backAt(iv) {
+  return iv.returnedRaw ?? iv.stopsRaw;
+}
+
+// A booking with unbuffered/buffered times and when the car is ready again.
+// Out-of-service blocks have outOfService { id, reason } and no planning/order.
+// An overdue booking's `end` is when it was due back; readyAt assumes it's
+// still out for a while (see fetchIntervals in lib/fleet.js). backAt is the
+// check-in for a car returned early, else `end`.
+export function describeInterval(iv, timezone, hours) {
+  return {
+    planningId: iv.planningId,
+    orderId: iv.orderId,
+    orderNumber: iv.orderNumber,
+    rentalState: iv.rentalState ?? null,
+    overdue: iv.overdue || null,
+    outOfService: iv.maintenance || null,
+    start: fmtInstant(iv.startsRaw.getTime(), timezone),
+    end: fmtInstant(iv.stopsRaw.getTime(), timezone),
+    backAt: fmtInstant(backAt(iv).getTime(), timezone),
+    bufferedStart: fmtInstant(iv.startMs, timezone),
+    bufferedEnd: fmtInstant(iv.endMs, timezone),
+    readyAt: fmtInstant(roundToBusinessHours(iv.endMs, timezone, hours), timezone),
+  };
+}
+
+// Every booking touching a day.
+export function daySegments(ivals, day, timezone, hours) {
+  return ivals
+    .filter((iv) => overlap(iv.startMs, iv.endMs, day.startUtcMs, day.endUtcMs))
+    .map((iv) => {
+      const startsBeforeDay = iv.startMs < day.startUtcMs;
+      const endsAfterDay = iv.endMs > day.endUtcMs;
+      return {
+        ...describeInterval(iv, timezone, hours),
+        startsBeforeDay,
+        endsAfterDay,
+        crossesMidnight: startsBeforeDay || endsAfterDay,
+      };
+    });
+}
+
+// Free spans ({ fromMs, untilMs }) that start (or are already open) within
+// [rangeStartMs, rangeEndMs) and are long enough to rent. A span runs from when
+// the car is ready (rounded to business hours) until the next buffered pickup;
+// untilMs is null when nothing later is booked in the fetched range.
+export function freeSpans(ivals, rangeStartMs, rangeEndMs, minRentableGapHours, timezone, hours) {
+  const minGapMs = minRentableGapHours * 3600000;
+  const blocks = busyBlocks(ivals, timezone, hours);
+
+  const gaps = [];
+  let cursor = -Infinity;
+  for (const b of [...blocks, { startMs: Infinity, endMs: Infinity }]) {
+    if (b.startMs > cursor) gaps.push({ startMs: cursor, endMs: b.startMs });
+    cursor = Math.max(cursor, b.endMs);
+  }
+
+  const out = [];
+  for (const g of gaps) {
+    const fromMs = roundToBusinessHours(Math.max(g.startMs, rangeStartMs), timezone, hours);
+    if (fromMs >= rangeEndMs || fromMs >= g.endMs) continue;
+    const untilMs = Number.isFinite(g.endMs) ? g.endMs : null;
+    if (untilMs !== null && untilMs - fromMs < minGapMs) continue;
+    out.push({ fromMs, untilMs });
+  }
+  return out;
+}
+
+// freeSpans, formatted
+export function freeWindows(ivals, rangeStartMs, rangeEndMs, minRentableGapHours, timezone, hours) {
+  return freeSpans(ivals, rangeStartMs, rangeEndMs, minRentableGapHours, timezone, hours).map(
+    ({ fromMs, untilMs }) => ({
+      from: fmtInstant(fromMs, timezone),
+      until: untilMs === null ? null : fmtInstant(untilMs, timezone),
+      hours: untilMs === null ? null : Math.round(((untilMs - fromMs) / 3600000) * 100) / 100,
+    })
+  );
+}
+
+// Rentable free gaps for one day.
+export function dayFreeGaps(ivals, day, minRentableGapHours, timezone, hours) {
+  return freeWindows(ivals, day.startUtcMs, day.endUtcMs, minRentableGapHours, timezone, hours);
+}
+
+// Can `car` (with its sorted intervals) take a booking from reqStartMs to reqEndMs?
+//
+// The requested booking gets the car's own buffers and its return is rounded to
+// business hours, exactly like existing bookings. Suggestions are searched
+// within [horizonStartMs, horizonEndMs] (the range plannings were fetched for).
+export function checkBooking({
+  car,
+  ivals,
+  reqStartMs,
+  reqEndMs,
+  horizonStartMs,
+  horizonEndMs,
+  minRentableGapHours,
+  timezone,
+  hours,
+}) {
+  const beforeMs = (car.buffer_before_s || 0) * 1000;
+  const afterMs = (car.buffer_after_s || 0) * 1000;
+  const minGapMs = minRentableGapHours * 3600000;
+  const durationMs = reqEndMs - reqStartMs;
+
+  // Time the requested booking would occupy the car
+  const occupy = (startMs) => ({
+    startMs: startMs - beforeMs,
+    endMs: roundToBusinessHours(startMs + durationMs + afterMs, timezone, hours),
+  });
+  const req = occupy(reqStartMs);
+
+  const conflicts = ivals
+    .filter((iv) => {
+      const readyMs = roundToBusinessHours(iv.endMs, timezone, hours);
+      return overlap(req.startMs, req.endMs, iv.startMs, readyMs);
+    })
+    .map((iv) => ({
+      planningId: iv.planningId,
+      orderId: iv.orderId,
+      overdue: iv.overdue || null,
+      outOfService: iv.maintenance || null,
+      from: fmtInstant(iv.startsRaw.getTime(), timezone),
+      until: fmtInstant(iv.stopsRaw.getTime(), timezone),
+      bufferedFrom: fmtInstant(iv.startMs, timezone),
+      bufferedUntil: fmtInstant(iv.endMs, timezone),
+    }));
+
+  const blocks = busyBlocks(ivals, timezone, hours);
+  const result = {
+    id: car.id,
+    name: car.name,
+    slug: car.slug,
+    available: conflicts.length === 0,
+    conflicts,
+  };
+
+  if (result.available) {
+    // Gaps this booking would leave next to existing ones
+    const prev = [...blocks].reverse().find((b) => b.endMs <= req.startMs);
+    const next = blocks.find((b) => b.startMs >= req.endMs);
+    const gapBeforeMs = prev ? req.startMs - prev.endMs : null;
+    const gapAfterMs = next ? next.startMs - req.endMs : null;
+    result.gapBeforeHours = gapBeforeMs === null ? null : gapBeforeMs / 3600000;
+    result.gapAfterHours = gapAfterMs === null ? null : gapAfterMs / 3600000;
+    result.leavesShortGap =
+      (gapBeforeMs !== null && gapBeforeMs > 0 && gapBeforeMs < minGapMs) ||
+      (gapAfterMs !== null && gapAfterMs > 0 && gapAfterMs < minGapMs);
+    return result;
+  }
+
+  // Free windows between busy blocks, clipped to the search horizon
+  const free = [];
+  let cursor = horizonStartMs;
+  for (const b of blocks) {
+    if (b.startMs > cursor) free.push({ startMs: cursor, endMs: b.startMs });
+    cursor = Math.max(cursor, b.endMs);
+  }
+  if (cursor < horizonEndMs) free.push({ startMs: cursor, endMs: horizonEndMs });
+
+  const fits = (startMs, w) => {
+    const o = occupy(startMs);
+    return o.startMs >= w.startMs && o.endMs <= w.endMs;
+  };
+  const slot = (startMs) => ({
+    from: fmtInstant(startMs, timezone),
+    to: fmtInstant(startMs + durationMs, timezone),
+  });
+
+  // Pickups only happen in business hours
+  const STEP_MS = 15 * 60000;
+  const isPickupTime = (ms) => roundToBusinessHours(ms, timezone, hours) === ms;
+
+  // Nearest same-length slot starting at/after the requested start
+  let later = null;
+  for (const w of free) {
+    let s = Math.max(reqStartMs, w.startMs + beforeMs);
+    if (!isPickupTime(s)) s = roundToBusinessHours(s, timezone, hours);
+    if (fits(s, w)) {
+      later = slot(s);
+      break;
+    }
+  }
+
+  // Nearest same-length slot starting before the requested start
+  let earlier = null;
+  for (const w of [...free].reverse()) {
+    let s = Math.min(reqStartMs - STEP_MS, w.endMs - afterMs - durationMs);
+    // step back out of closed hours (at most a day)
+    for (let i = 0; i < 96 && !isPickupTime(s); i++) s -= STEP_MS;
+    if (isPickupTime(s) && fits(s, w)) {
+      earlier = slot(s);
+      break;
+    }
+  }
+
+  // Keep the requested start, shorten the booking
+  let latestEnd = null;
+  const startWindow = free.find((w) => req.startMs >= w.startMs && req.startMs < w.endMs);
+  if (startWindow && startWindow.endMs < horizonEndMs) {
+    const endMs = startWindow.endMs - afterMs;
+    const readyMs = roundToBusinessHours(startWindow.endMs, timezone, hours);
+    if (endMs > reqStartMs && readyMs <= startWindow.endMs) latestEnd = fmtInstant(endMs, timezone);
+  }
+
+  // Keep the requested end, start later
+  let earliestStart = null;
+  const endWindow = free.find((w) => req.endMs > w.startMs && req.endMs <= w.endMs);
+  if (endWindow && endWindow.startMs > horizonStartMs) {
+    const startMs = endWindow.startMs + beforeMs;
+    if (startMs < reqEndMs) earliestStart = fmtInstant(startMs, timezone);
+  }
+
+  result.suggestions = { earlier, later, latestEnd, earliestStart };
+  return result;
+}
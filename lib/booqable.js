@@ -0,0 +1,292 @@
+// lib/booqable.js
+//
+// Booqable API v4 client shared by the API routes.
+//
+// - One limiter per instance: at most BOOQABLE_CONCURRENCY requests in flight,
+//   and a shared pause when Booqable says to back off (429 Retry-After or an
+//   exhausted rate-limit header), so parallel page fetches don't all hammer it.
+// - Per-request timeout (AbortController) and an overall deadline per client,
+//   so a handler can return (partial, flagged) data before the serverless
+//   function is killed.
+// - A request budget per client caps how many calls one invocation may make.
+// - Failures are ApiErrors (lib/errors.js) with a BOOQABLE_* code; Booqable's
+//   response body goes to the log, not into the message.
+// - Requests, retries, timeouts and pages are counted in lib/metrics.js.
+//
+// Env vars required on Vercel:
+// - BOOQABLE_COMPANY_SLUG = bubblegum-cars
+// - BOOQABLE_ACCESS_TOKEN = <token>
+//
+// Optional tuning:
+// - BOOQABLE_CONCURRENCY         (default 4)
+// - BOOQABLE_REQUEST_TIMEOUT_MS  (default 6000)
+// - BOOQABLE_DEADLINE_MS         (default 8000; Vercel's default function limit is 10s)
+// - BOOQABLE_MAX_REQUESTS        (default 150 per invocation)
+//
+// Offline development: BOOQABLE_FIXTURES=record|replay (lib/fixtures.js).
+
+import { ApiError, describeError } from "./errors.js";
+import { fixtureMeta, fixturesMode, recordFixture, replayFixture } from "./fixtures.js";
+import { count, observe } from "./metrics.js";
+
+export const PAGE_SIZE = 100;
+
+const CONCURRENCY = Number(process.env.BOOQABLE_CONCURRENCY) || 4;
+const REQUEST_TIMEOUT_MS = Number(process.env.BOOQABLE_REQUEST_TIMEOUT_MS) || 6000;
+const DEADLINE_MS = Number(process.env.BOOQABLE_DEADLINE_MS) || 8000;
+const MAX_REQUESTS = Number(process.env.BOOQABLE_MAX_REQUESTS) || 150;
+const MAX_RETRIES = 4;
+const MAX_BACKOFF_MS = 8000;
+
+// Thrown when a client runs out of time or requests. Callers that can live
+// with partial data catch this; anything else treats it as a failure.
+export class BooqableBudgetError extends ApiError {
+  constructor(message) {
+    super("BOOQABLE_BUSY", message);
+    this.name = "BooqableBudgetError";
+  }
+}
+
+// "/plannings (page 2)" for messages; full paths with filters only go to the log
+function shortPath(path) {
+  const [base, query = ""] = path.split("?");
+  const page = /page\[number\]=(\d+)/.exec(query);
+  return page ? `${base} (page ${page[1]})` : base;
+}
+
+// Booqable answered with an error status
+function statusError(status, path) {
+  path = shortPath(path);
+  if (status === 401 || status === 403) {
+    return new ApiError("BOOQABLE_AUTH", `Booqable rejected the access token (${status}) for ${path}`);
+  }
+  if (status === 429) return new ApiError("BOOQABLE_RATE_LIMITED", `Booqable rate limit for ${path}`);
+  return new ApiError("BOOQABLE_ERROR", `Booqable error ${status} for ${path}`);
+}
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+// Shared by every client in this instance
+const limiter = {
+  active: 0,
+  waiting: [], // resolve callbacks
+  pausedUntil: 0,
+};
+
+async function acquireSlot() {
+  if (limiter.active < CONCURRENCY) {
+    limiter.active++;
+    return;
+  }
+  await new Promise((resolve) => limiter.waiting.push(resolve));
+  limiter.active++;
+}
+
+function releaseSlot() {
+  limiter.active--;
+  const next = limiter.waiting.shift();
+  if (next) next();
+}
+
+// Retry-After is either delay-seconds or an HTTP date.
+function retryAfterMs(headers) {
+  const value = headers.get("retry-after");
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+// Remaining/reset rate-limit headers (with or without the X- prefix).
+// Reset may be seconds-from-now or an epoch timestamp in seconds.
+function rateLimitPauseMs(headers) {
+  const remaining = headers.get("x-ratelimit-remaining") ?? headers.get("ratelimit-remaining");
+  if (remaining === null || Number(remaining) > 0) return 0;
+  const reset = Number(headers.get("x-ratelimit-reset") ?? headers.get("ratelimit-reset"));
+  if (!Number.isFinite(reset)) return 0;
+  return reset > 1e9 ? Math.max(0, reset * 1000 - Date.now()) : reset * 1000;
+}
+
+// Returns { company, token } or null when either env var is missing.
+// Replaying fixtures needs neither.
+export function booqableCredentials() {
+  if (fixturesMode() === "replay") {
+    return { company: fixtureMeta().company || "replay", token: "replay" };
+  }
+  const company = process.env.BOOQABLE_COMPANY_SLUG;
+  const token = process.env.BOOQABLE_ACCESS_TOKEN;
+  if (!company || !token) return null;
+  return { company, token };
+}
+
+// Returns booqable(path) -> parsed JSON:API document.
+// booqable.stats counts requests, 429 retries and timeouts for this client.
+export function createBooqableClient(
+  { company, token },
+  { deadlineMs = DEADLINE_MS, maxRequests = MAX_REQUESTS } = {}
+) {
+  const deadline = Date.now() + deadlineMs;
+  const stats = { requests: 0, retries429: 0, timeouts: 0 };
+
+  const remainingMs = () => deadline - Date.now();
+
+  async function waitFor(ms, path) {
+    if (ms >= remainingMs()) {
+      throw new BooqableBudgetError(`Deadline reached waiting to retry ${shortPath(path)}`);
+    }
+    await sleep(ms);
+  }
+
+  async function once(path) {
+    // Someone else was told to back off: wait with them
+    const pause = limiter.pausedUntil - Date.now();
+    if (pause > 0) await waitFor(pause, path);
+
+    if (stats.requests >= maxRequests) {
+      throw new BooqableBudgetError(`Request budget (${maxRequests}) used up before ${shortPath(path)}`);
+    }
+    if (remainingMs() <= 0) {
+      throw new BooqableBudgetError(`Deadline reached before ${shortPath(path)}`);
+    }
+
+    await acquireSlot();
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), Math.min(REQUEST_TIMEOUT_MS, remainingMs()));
+    const startMs = Date.now();
+    try {
+      stats.requests++;
+      count("upstreamRequests");
+      return await fetch(`https://${company}.booqable.com/api/4${path}`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+          Accept: "application/vnd.api+json",
+        },
+        signal: controller.signal,
+      });
+    } catch (e) {
+      if (e.name !== "AbortError") {
+        count("upstreamErrors");
+        throw new ApiError("BOOQABLE_ERROR", `Booqable unreachable for ${shortPath(path)}: ${e.message}`, {
+          cause: e,
+        });
+      }
+      stats.timeouts++;
+      count("upstreamTimeouts");
+      if (remainingMs() <= 0) throw new BooqableBudgetError(`Deadline reached during ${shortPath(path)}`);
+      throw new ApiError(
+        "BOOQABLE_TIMEOUT",
+        `Booqable timeout after ${REQUEST_TIMEOUT_MS}ms for ${shortPath(path)}`
+      );
+    } finally {
+      observe("upstreamRequest", Date.now() - startMs);
+      clearTimeout(timer);
+      releaseSlot();
+    }
+  }
+
+  async function booqable(path, attempt = 0) {
+    if (fixturesMode() === "replay") {
+      stats.requests++;
+      return replayFixture(path);
+    }
+
+    const r = await once(path);
+
+    const pauseMs = rateLimitPauseMs(r.headers);
+    if (pauseMs > 0) limiter.pausedUntil = Math.max(limiter.pausedUntil, Date.now() + pauseMs);
+
+    if (r.status === 429 && attempt < MAX_RETRIES) {
+      stats.retries429++;
+      count("upstreamRetries429");
+      const backoff = Math.min(MAX_BACKOFF_MS, 500 * Math.pow(2, attempt) + Math.random() * 250);
+      const wait = retryAfterMs(r.headers) ?? backoff;
+      limiter.pausedUntil = Math.max(limiter.pausedUntil, Date.now() + wait);
+      await waitFor(wait, path);
+      return booqable(path, attempt + 1);
+    }
+
+    if (!r.ok) {
+      count("upstreamErrors");
+      count(`upstreamStatus.${r.status}`);
+      await r.body?.cancel().catch(() => {});
+      throw statusError(r.status, path);
+    }
+
+    const doc = await r.json();
+    if (fixturesMode() === "record") recordFixture(path, doc, company);
+    return doc;
+  }
+
+  booqable.stats = stats;
+  return booqable;
+}
+
+export function addPaging(pathWithMaybeQuery, pageNumber) {
+  const join = pathWithMaybeQuery.includes("?") ? "&" : "?";
+  return `${pathWithMaybeQuery}${join}page[size]=${PAGE_SIZE}&page[number]=${pageNumber}`;
+}
+
+// Page count from JSON:API meta/links when Booqable provides it.
+function knownPageCount(doc) {
+  const total = Number(doc?.meta?.total_count ?? doc?.meta?.total);
+  if (Number.isFinite(total) && total >= 0) return Math.max(1, Math.ceil(total / PAGE_SIZE));
+  const last = doc?.links?.last && /page(?:\[|%5B)number(?:\]|%5D)=(\d+)/.exec(doc.links.last);
+  return last ? Number(last[1]) : null;
+}
+
+// Fetch every page of a list endpoint: page 1 first, then the rest in
+// parallel batches (bounded by the shared limiter) until a short page.
+//
+// Returns { pages, truncated, partial, failedPages }:
+// - truncated:   stopped at maxPages with more data likely
+// - partial:     ran out of time/requests, or pages after the first failed
+//                (only with allowPartial, else it throws)
+// - failedPages: page numbers that failed and were skipped
+export async function fetchPages(booqable, basePath, { maxPages, allowPartial = false }) {
+  const first = await booqable(addPaging(basePath, 1));
+  count("pagesFetched");
+  const pages = [first];
+  const failedPages = [];
+  const done = (extra) => {
+    const result = { pages, truncated: false, partial: failedPages.length > 0, failedPages, ...extra };
+    if (result.partial) count("partialLoads");
+    return result;
+  };
+  if ((first?.data || []).length < PAGE_SIZE) return done();
+
+  const pageCount = knownPageCount(first);
+  const lastPage = Math.min(maxPages, pageCount ?? maxPages);
+  let next = 2;
+  while (next <= lastPage) {
+    const batch = [];
+    for (let p = next; p < next + CONCURRENCY && p <= lastPage; p++) batch.push(p);
+    next += batch.length;
+
+    const results = await Promise.allSettled(batch.map((p) => booqable(addPaging(basePath, p))));
+    // Out of time/requests, or a whole batch failing (Booqable is down, not one
+    // bad page): keep what this batch got, then stop
+    let stop = allowPartial && results.every((r) => r.status === "rejected");
+    for (const [i, r] of results.entries()) {
+      if (r.status === "rejected") {
+        if (!allowPartial) throw r.reason;
+        // One bad page shouldn't sink the rest: record it and keep going
+        count("pagesFailed");
+        count(`pagesFailed.${describeError(r.reason).code}`);
+        failedPages.push(batch[i]);
+        if (r.reason instanceof BooqableBudgetError) stop = true;
+        continue;
+      }
+      count("pagesFetched");
+      pages.push(r.value);
+      if ((r.value?.data || []).length < PAGE_SIZE) return done();
+    }
+    if (stop) return done({ partial: true });
+  }
+
+  // Every page was full: more are left if Booqable said so, or might be if it
+  // didn't say how many there are
+  return done({ truncated: pageCount === null || pageCount > maxPages });
+}
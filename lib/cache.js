@@ -0,0 +1,73 @@
+// lib/cache.js
+//
+// TTL cache over the shared store (lib/store.js), with stale-on-error fallback.
+//
+// Entries are kept well past their TTL so the last good value can be served,
+// marked stale, when Booqable is down or rate-limiting us.
+//
+// TTLs (env, seconds):
+// - CACHE_TTL_CATALOG_SECONDS    settings + products   (default 300)
+// - CACHE_TTL_PLANNINGS_SECONDS  plannings / payloads  (default 15, reduces 429s)
+
+import { count } from "./metrics.js";
+import { getStore } from "./store.js";
+
+export const CATALOG_TTL_MS = (Number(process.env.CACHE_TTL_CATALOG_SECONDS) || 300) * 1000;
+export const PLANNINGS_TTL_MS = (Number(process.env.CACHE_TTL_PLANNINGS_SECONDS) || 15) * 1000;
+const KEEP_STALE_SECONDS = 24 * 3600;
+
+const PREFIX = "cache:";
+
+// A broken cache store must never take the API down: treat errors as misses.
+async function readEntry(key) {
+  try {
+    return await getStore().get(PREFIX + key);
+  } catch {
+    count("cacheStoreErrors");
+    return null;
+  }
+}
+
+// Cached value if younger than ttlMs (and not stored before notBeforeMs,
+// e.g. the last webhook change), else null.
+export async function getFresh(key, ttlMs, notBeforeMs = 0) {
+  const entry = await readEntry(key);
+  if (!entry || Date.now() - entry.at >= ttlMs || entry.at < notBeforeMs) {
+    count("cacheMisses");
+    return null;
+  }
+  count("cacheHits");
+  return entry.value;
+}
+
+// Last stored value regardless of age: { value, ageSeconds } or null.
+export async function getLastGood(key) {
+  const entry = await readEntry(key);
+  if (!entry) return null;
+  return { value: entry.value, ageSeconds: Math.round((Date.now() - entry.at) / 1000) };
+}
+
+export async function put(key, value) {
+  try {
+    await getStore().set(PREFIX + key, { at: Date.now(), value }, { ttlSeconds: KEEP_STALE_SECONDS });
+  } catch {
+    count("cacheStoreErrors");
+  }
+}
+
+export async function invalidate(key) {
+  try {
+    await getStore().delete(PREFIX + key);
+  } catch {
+    count("cacheStoreErrors");
+  }
+}
+
+// Fresh cached value, or load() and store it.
+export async function cached(key, ttlMs, load) {
+  const hit = await getFresh(key, ttlMs);
+  if (hit !== null) return hit;
+  const value = await load();
+  await put(key, value);
+  return value;
+}
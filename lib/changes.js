@@ -0,0 +1,46 @@
+// lib/changes.js
+//
+// "Booqable data changed" signal, shared across instances.
+//
+// The webhook records the latest change in the shared store (lib/store.js).
+// Event streams poll it, since the instance holding a page's stream is rarely
+// the one that received the webhook; listeners in the same instance are told
+// straight away.
+//
+// A change is { at, event }; `at` (ms) doubles as its version.
+
+import { EventEmitter } from "node:events";
+
+import { now } from "./clock.js";
+import { count } from "./metrics.js";
+import { getStore } from "./store.js";
+
+const KEY = "changes:latest";
+const KEEP_SECONDS = 7 * 24 * 3600;
+const NO_CHANGE = { at: 0, event: null };
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // one per open stream
+
+// Latest recorded change, or { at: 0 } when none (or the store is down).
+export async function latestChange() {
+  try {
+    return (await getStore().get(KEY)) || NO_CHANGE;
+  } catch {
+    count("changeReadsFailed");
+    return NO_CHANGE;
+  }
+}
+
+export async function recordChange(event) {
+  const change = { at: now(), event };
+  await getStore().set(KEY, change, { ttlSeconds: KEEP_SECONDS });
+  emitter.emit("change", change);
+  return change;
+}
+
+// Same-instance listener; returns an unsubscribe function.
+export function onChange(listener) {
+  emitter.on("change", listener);
+  return () => emitter.off("change", listener);
+}
@@ -0,0 +1,143 @@
+// lib/cleaning.js
+//
+// Cleaning queue from the real planning intervals (not day-tile strings).
+//
+// Every return (unbuffered stop) from yesterday to tomorrow, and any overdue
+// one, becomes an item with the car's next pickup, the turnaround window between them and an urgency:
+// - critical: next pickup within quickTurnaroundMinutes of the return
+// - high:     next pickup within soonHours
+// - normal:   a later pickup
+// - low:      nothing booked after it in the fetched range
+//
+// Sections (same meaning as the cleaning page always had):
+// - turnaround: critical returns today
+// - priority:   returned yesterday at/after lateReturnCutoff -> clean before opening
+// - today:      returning later today, and overdue cars (whenever they were due)
+// - tomorrow:   returned/returning today and overdue, plus returns tomorrow at/after the cut-off
+//
+// A return counts as returned from Booqable's status when it says (stopped),
+// else once its time has passed. Overdue cars (still on rent past their return
+// time) carry `overdue: { minutesLate }` and their turnaround counts from now.
+//
+// Out-of-service blocks are neither returns nor pickups.
+
+import { roundToBusinessHours } from "./hours.js";
+import { daysBetween, fmtInstant, localDateParts, localParts } from "./time.js";
+
+const DEFAULT_THRESHOLDS = {
+  quickTurnaroundMinutes: Number(process.env.CLEANING_QUICK_TURNAROUND_MINUTES) || 30,
+  soonHours: Number(process.env.CLEANING_SOON_HOURS) || 4,
+  lateReturnCutoff: process.env.CLEANING_LATE_RETURN_CUTOFF || "18:00",
+};
+
+function cutoffMinutes(str) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(str || "").trim());
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+// ?quickTurnaroundMinutes=&soonHours=&lateReturnCutoff=HH:MM -> { thresholds } or { error }
+export function cleaningThresholdsFromQuery(query) {
+  const thresholds = { ...DEFAULT_THRESHOLDS };
+
+  for (const key of ["quickTurnaroundMinutes", "soonHours"]) {
+    if (query[key] === undefined || query[key] === "") continue;
+    const n = Number(query[key]);
+    if (!Number.isFinite(n) || n < 0) {
+      return { error: `Invalid ${key} '${query[key]}' (expected a number >= 0)` };
+    }
+    thresholds[key] = n;
+  }
+
+  if (query.lateReturnCutoff) thresholds.lateReturnCutoff = String(query.lateReturnCutoff).trim();
+  if (cutoffMinutes(thresholds.lateReturnCutoff) === null) {
+    return { error: `Invalid lateReturnCutoff '${thresholds.lateReturnCutoff}' (expected HH:MM)` };
+  }
+
+  return { thresholds };
+}
+
+function urgencyFor(turnaroundMinutes, thresholds) {
+  if (turnaroundMinutes === null) return "low";
+  if (turnaroundMinutes <= thresholds.quickTurnaroundMinutes) return "critical";
+  if (turnaroundMinutes < thresholds.soonHours * 60) return "high";
+  return "normal";
+}
+
+const URGENCY_ORDER = { critical: 0, high: 1, normal: 2, low: 3 };
+
+// Returns { thresholds, returns, sections: { turnaround, priority, today, tomorrow } }.
+// Section entries are the same objects as in `returns`.
+export function cleaningQueue({ cars, intervalsByProduct, nowMs, timezone, hours, thresholds }) {
+  const today = localDateParts(nowMs, timezone);
+  const cutoff = cutoffMinutes(thresholds.lateReturnCutoff);
+  const at = (ms) => fmtInstant(ms, timezone);
+
+  const entries = []; // { item, returnMs, nextMs }
+  for (const car of cars) {
+    const bookings = (intervalsByProduct.get(car.id) || []).filter((iv) => !iv.maintenance);
+
+    for (const iv of bookings) {
+      const returnMs = iv.stopsRaw.getTime();
+      const dayOffset = daysBetween(today, localDateParts(returnMs, timezone));
+      if (!iv.overdue && (dayOffset < -1 || dayOffset > 1)) continue;
+
+      const next = bookings.find((b) => b !== iv && b.startsRaw.getTime() >= returnMs);
+      const nextMs = next ? next.startsRaw.getTime() : null;
+      // Overdue: not back yet, so the turnaround only starts now
+      const backMs = iv.overdue ? Math.max(returnMs, nowMs) : returnMs;
+      const turnaroundMinutes = next ? Math.round((nextMs - backMs) / 60000) : null;
+      const local = localParts(returnMs, timezone);
+
+      const item = {
+        planningId: iv.planningId,
+        orderNumber: iv.orderNumber,
+        car: { id: car.id, name: car.name, slug: car.slug, photo_url: car.photo_url },
+        returnAt: at(returnMs),
+        returnDay: dayOffset < -1 ? "earlier" : ["yesterday", "today", "tomorrow"][dayOffset + 1],
+        returned:
+          iv.rentalState === "returned" ||
+          (!iv.overdue && iv.rentalState !== "on-rent" && returnMs <= nowMs),
+        overdue: iv.overdue || null,
+        lateReturn: local.hh * 60 + local.mi >= cutoff,
+        readyAt: at(roundToBusinessHours(iv.endMs, timezone, hours)),
+        nextPickup: next
+          ? { planningId: next.planningId, orderNumber: next.orderNumber, at: at(nextMs) }
+          : null,
+        turnaroundMinutes,
+        urgency: urgencyFor(turnaroundMinutes, thresholds),
+      };
+      entries.push({ item, returnMs, nextMs: nextMs ?? Infinity });
+    }
+  }
+
+  const byReturn = (a, b) => a.returnMs - b.returnMs;
+  const pick = (filter, sort) => entries.filter(filter).sort(sort).map((e) => e.item);
+  const isQuick = (e) => e.item.returnDay === "today" && e.item.urgency === "critical";
+
+  const sections = {
+    turnaround: pick(isQuick, (a, b) => a.item.turnaroundMinutes - b.item.turnaroundMinutes),
+    // earliest next pickup first: those must be clean at opening
+    priority: pick(
+      (e) => e.item.returnDay === "yesterday" && e.item.lateReturn && !e.item.overdue,
+      (a, b) => a.nextMs - b.nextMs
+    ),
+    today: pick(
+      (e) => ((e.item.returnDay === "today" && !e.item.returned) || e.item.overdue) && !isQuick(e),
+      byReturn
+    ),
+    tomorrow: pick(
+      (e) =>
+        ((e.item.returnDay === "today" || e.item.overdue) && !isQuick(e)) ||
+        (e.item.returnDay === "tomorrow" && e.item.lateReturn),
+      byReturn
+    ),
+  };
+
+  const returns = pick(
+    () => true,
+    (a, b) => URGENCY_ORDER[a.item.urgency] - URGENCY_ORDER[b.item.urgency] || byReturn(a, b)
+  );
+
+  return { thresholds, returns, sections };
+}
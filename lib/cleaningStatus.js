@@ -0,0 +1,179 @@
+// lib/cleaningStatus.js
+//
+// Cleaning status per return, kept by the app in the shared store
+// (lib/store.js: STORE_BACKEND memory/file/kv, STORE_DIR for a local file).
+//
+// Status is keyed to the planning that ended (the return), not the car, so a
+// car's next return starts clean. Every change is also appended to a history
+// for auditing turnaround times per car and per cleaner.
+//
+// One store record per return (per day for history), so cleaners marking
+// different cars at once can't overwrite each other:
+// - "cleaning:status:<planningId>"         { planningId, carId, returnAt, status: ready|cleaned, by, at }
+// - "cleaning:history:<day>:<planningId>"  [{ planningId, carId, returnAt, status: ready|cleaned|cleared, by, at }]
+//   with the marks made that UTC day (YYYY-MM-DD), so a date range reads only its days
+// Marking needs a persistent store (NOT_CONFIGURED otherwise): the memory
+// backend would lose marks on a cold start.
+//
+// Optional env vars:
+// - CLEANING_STATUS_KEEP_DAYS   (default 30) current statuses expire this long after the last mark
+// - CLEANING_HISTORY_KEEP_DAYS  (default 365) a day's marks for a return expire this long after the last one
+
+import { getMany, getStore, persistentStore } from "./store.js";
+
+const STATUS_PREFIX = "cleaning:status:";
+const HISTORY_PREFIX = "cleaning:history:";
+const KEEP_DAYS = Number(process.env.CLEANING_STATUS_KEEP_DAYS) || 30;
+const HISTORY_KEEP_DAYS = Number(process.env.CLEANING_HISTORY_KEEP_DAYS) || 365;
+const MAX_CHANGES_PER_RETURN = 100;
+const MAX_NAME_LENGTH = 60;
+
+export const CLEANING_STATUSES = ["ready", "cleaned"];
+
+const utcDay = (ms) => new Date(ms).toISOString().slice(0, 10);
+const historyKey = (day, planningId) => `${HISTORY_PREFIX}${day}:${planningId}`;
+
+// Current statuses by planning id, optionally only for the given ids.
+export async function getStatuses(planningIds = null) {
+  const store = getStore();
+  const keys = planningIds
+    ? planningIds.map((id) => STATUS_PREFIX + id)
+    : await store.keys(STATUS_PREFIX);
+  const entries = await getMany(store, keys);
+  const out = {};
+  for (const entry of entries) if (entry) out[entry.planningId] = entry;
+  return out;
+}
+
+// Validated input -> { change } or { error }.
+// input: { planningId, carId, status (ready|cleaned|cleared|null), by, returnAt? }
+function parseChange(input) {
+  const planningId = String(input.planningId || "").trim();
+  const carId = String(input.carId || "").trim();
+  if (!planningId) return { error: "Missing planningId" };
+  if (!carId) return { error: "Missing carId" };
+
+  const raw = input.status == null || input.status === "" ? "cleared" : String(input.status);
+  if (raw !== "cleared" && !CLEANING_STATUSES.includes(raw)) {
+    return { error: `Invalid status '${raw}' (expected ready, cleaned or cleared)` };
+  }
+
+  const by = String(input.by || "").trim();
+  if (!by) return { error: "Missing by (who is cleaning)" };
+  if (by.length > MAX_NAME_LENGTH) return { error: `Name too long (max ${MAX_NAME_LENGTH} characters)` };
+
+  let returnAt = null;
+  if (input.returnAt) {
+    const ms = Date.parse(input.returnAt);
+    if (Number.isNaN(ms)) return { error: `Invalid returnAt '${input.returnAt}' (expected ISO)` };
+    returnAt = new Date(ms).toISOString();
+  }
+
+  return { change: { planningId, carId, returnAt, status: raw, by } };
+}
+
+// Set (or clear) a return's status and log it.
+// Returns { entry } (null when cleared) or { error }.
+export async function setStatus(input, nowMs = Date.now()) {
+  const { change, error } = parseChange(input);
+  if (error) return { error };
+
+  const store = persistentStore("Cleaning marks");
+  const statusKey = STATUS_PREFIX + change.planningId;
+  const dayKey = historyKey(utcDay(nowMs), change.planningId);
+  const at = new Date(nowMs).toISOString();
+  const [previous, history] = await Promise.all([store.get(statusKey), store.get(dayKey)]);
+  // Keep the return time from an earlier mark if this one didn't send it
+  const returnAt = change.returnAt ?? previous?.returnAt ?? null;
+
+  let entry = null;
+  if (change.status === "cleared") {
+    await store.delete(statusKey);
+  } else {
+    entry = { ...change, returnAt, at };
+    await store.set(statusKey, entry, { ttlSeconds: KEEP_DAYS * 86400 });
+  }
+
+  const changes = [...(history || []), { ...change, returnAt, at }].slice(-MAX_CHANGES_PER_RETURN);
+  await store.set(dayKey, changes, { ttlSeconds: HISTORY_KEEP_DAYS * 86400 });
+
+  return { entry };
+}
+
+// History records for the UTC days overlapping [fromMs, tillMs) (null: open).
+async function readHistory(fromMs, tillMs) {
+  const store = getStore();
+  const fromDay = fromMs === null ? null : utcDay(fromMs);
+  const tillDay = tillMs === null ? null : utcDay(tillMs);
+  const keys = (await store.keys(HISTORY_PREFIX)).filter((key) => {
+    const day = key.slice(HISTORY_PREFIX.length, HISTORY_PREFIX.length + 10);
+    return (fromDay === null || day >= fromDay) && (tillDay === null || day <= tillDay);
+  });
+  return (await getMany(store, keys)).filter(Boolean);
+}
+
+function average(values) {
+  if (values.length === 0) return null;
+  return Math.round(values.reduce((a, b) => a + b, 0) / values.length);
+}
+
+// History entries (newest first) matching { carId, cleaner, fromMs, tillMs },
+// with turnaround stats grouped by car and by cleaner:
+// - avgMinutesReturnToCleaned  return -> marked cleaned
+// - avgMinutesReadyToCleaned   marked ready -> marked cleaned (same return)
+// Only the last "cleaned" per return counts, and only if not cleared after.
+export async function cleaningHistory({ carId = null, cleaner = null, fromMs = null, tillMs = null } = {}) {
+  const all = (await readHistory(fromMs, tillMs)).flat().sort((a, b) => Date.parse(a.at) - Date.parse(b.at));
+  const who = cleaner ? cleaner.trim().toLowerCase() : null;
+
+  const entries = all.filter((e) => {
+    const ms = Date.parse(e.at);
+    return (
+      (!carId || e.carId === carId) &&
+      (!who || e.by.toLowerCase() === who) &&
+      (fromMs === null || ms >= fromMs) &&
+      (tillMs === null || ms < tillMs)
+    );
+  });
+
+  // Per return: final cleaned mark and the ready mark before it
+  const byPlanning = new Map();
+  for (const e of entries) {
+    const state = byPlanning.get(e.planningId) || { ready: null, cleaned: null };
+    if (e.status === "ready") state.ready = e;
+    else if (e.status === "cleaned") state.cleaned = e;
+    else state.ready = state.cleaned = null;
+    byPlanning.set(e.planningId, state);
+  }
+
+  const groups = { byCar: new Map(), byCleaner: new Map() };
+  const groupFor = (map, key) => {
+    if (!map.has(key)) map.set(key, { cleaned: 0, returnToCleaned: [], readyToCleaned: [] });
+    return map.get(key);
+  };
+  for (const { ready, cleaned } of byPlanning.values()) {
+    if (!cleaned) continue;
+    const cleanedMs = Date.parse(cleaned.at);
+    for (const g of [groupFor(groups.byCar, cleaned.carId), groupFor(groups.byCleaner, cleaned.by)]) {
+      g.cleaned++;
+      if (cleaned.returnAt && cleanedMs >= Date.parse(cleaned.returnAt)) {
+        g.returnToCleaned.push((cleanedMs - Date.parse(cleaned.returnAt)) / 60000);
+      }
+      if (ready) g.readyToCleaned.push((cleanedMs - Date.parse(ready.at)) / 60000);
+    }
+  }
+
+  const summarise = (map, keyName) =>
+    [...map.entries()].map(([key, g]) => ({
+      [keyName]: key,
+      cleaned: g.cleaned,
+      avgMinutesReturnToCleaned: average(g.returnToCleaned),
+      avgMinutesReadyToCleaned: average(g.readyToCleaned),
+    }));
+
+  return {
+    entries: entries.slice().reverse(),
+    byCar: summarise(groups.byCar, "carId"),
+    byCleaner: summarise(groups.byCleaner, "cleaner"),
+  };
+}
@@ -0,0 +1,34 @@
+// lib/clock.js
+//
+// "Now" for availability logic: today's tiles, next available, overdue
+// rentals, the cleaning queue. Real time unless pinned, so a fixture replays
+// the way it looked when it was recorded:
+// - CLOCK_NOW=2026-10-19T09:30:00+11:00   pin to an instant (any Date.parse format)
+// - replay mode (lib/fixtures.js)        pinned to the fixture's recordedAt
+//                                        unless CLOCK_NOW is set
+// - setNow(ms)                           pin from a script; setNow(null) unpins
+//
+// Timeouts, cache TTLs, sessions and status timestamps keep using Date.now().
+
+import { fixturesMode, fixtureRecordedAtMs } from "./fixtures.js";
+
+let pinnedMs = null;
+
+export function setNow(ms) {
+  pinnedMs = ms === null || ms === undefined ? null : Number(ms);
+}
+
+export function now() {
+  if (pinnedMs !== null) return pinnedMs;
+
+  if (process.env.CLOCK_NOW) {
+    const ms = Date.parse(process.env.CLOCK_NOW);
+    if (Number.isNaN(ms)) throw new Error(`Invalid CLOCK_NOW '${process.env.CLOCK_NOW}'`);
+    return ms;
+  }
+  if (fixturesMode() === "replay") {
+    const ms = fixtureRecordedAtMs();
+    if (ms !== null) return ms;
+  }
+  return Date.now();
+}
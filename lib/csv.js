@@ -0,0 +1,113 @@
+// lib/csv.js
+//
+// CSV export of the availability payload (spreadsheet-friendly: UTF-8 BOM, CRLF).
+//
+// Layouts:
+// - wide: one row per car-day (the staff grid)
+// - long: one row per car-day-booking ("tidy"); days with no bookings get one row
+
+export const CSV_LAYOUTS = ["wide", "long"];
+
+// Text starting with one of these runs as a formula in Excel/Sheets (car names
+// and outage reasons are typed in by staff), so it gets a leading quote.
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let s = String(value);
+  if (typeof value !== "number" && FORMULA_START.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toCsv(columns, rows) {
+  const lines = [columns.map(csvCell).join(",")];
+  for (const row of rows) lines.push(columns.map((c) => csvCell(row[c])).join(","));
+  return "\uFEFF" + lines.join("\r\n") + "\r\n";
+}
+
+const WIDE_COLUMNS = [
+  "car",
+  "slug",
+  "date",
+  "day",
+  "status",
+  "booked_from",
+  "booked_until",
+  "back_time",
+  "free_time",
+  "out_of_service",
+  "minutes_late",
+  "next_available",
+];
+
+const LONG_COLUMNS = [
+  "car",
+  "slug",
+  "date",
+  "day",
+  "status",
+  "order_number",
+  "planning_id",
+  "pickup",
+  "return",
+  "buffered_start",
+  "buffered_end",
+  "ready_at",
+  "crosses_midnight",
+  "rental_state",
+  "out_of_service",
+  "minutes_late",
+  "next_available",
+];
+
+export function availabilityCsv(payload, layout = "wide") {
+  const rows = [];
+  for (const car of payload.cars) {
+    for (const day of car.days) {
+      const base = {
+        car: car.name,
+        slug: car.slug,
+        date: day.date,
+        day: day.label,
+        status: day.status,
+        next_available: car.nextAvailable,
+      };
+
+      if (layout === "wide") {
+        rows.push({
+          ...base,
+          booked_from: day.bookedFrom,
+          booked_until: day.bookedUntil,
+          back_time: day.backTime,
+          free_time: day.freeTime,
+          out_of_service: day.reason,
+          minutes_late: day.minutesLate,
+        });
+        continue;
+      }
+
+      const segments = day.segments || [];
+      if (segments.length === 0) {
+        rows.push(base);
+        continue;
+      }
+      for (const seg of segments) {
+        rows.push({
+          ...base,
+          order_number: seg.orderNumber,
+          planning_id: seg.planningId,
+          pickup: seg.start.local,
+          return: seg.end.local,
+          buffered_start: seg.bufferedStart.local,
+          buffered_end: seg.bufferedEnd.local,
+          ready_at: seg.readyAt.local,
+          crosses_midnight: seg.crossesMidnight ? "yes" : "no",
+          rental_state: seg.rentalState,
+          out_of_service: seg.outOfService?.reason,
+          minutes_late: seg.overdue?.minutesLate,
+        });
+      }
+    }
+  }
+  return toCsv(layout === "wide" ? WIDE_COLUMNS : LONG_COLUMNS, rows);
+}
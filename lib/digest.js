@@ -0,0 +1,164 @@
+// lib/digest.js
+//
+// Evening digest for one day (normally tomorrow), from the same intervals as
+// availability:
+// - firstPickups   each car's first pickup of the day
+// - earlyCleaning  returns the evening before at/after the late-return cut-off
+//                  (the cleaning page's priority section, see lib/cleaning.js)
+// - noBookings     cars with nothing booked or blocked that day
+// - shortGaps      ready-again -> next pickup gaps under minRentableGapHours
+// - outOfService   maintenance blocks touching the day
+// - overdue        cars still out past their return time right now
+//
+// renderDigestText() turns it into plain text (Slack/Teams/email friendly).
+
+import { cleaningQueue } from "./cleaning.js";
+import { roundToBusinessHours } from "./hours.js";
+import { fmtInstant, fmtTime, overlap } from "./time.js";
+
+// day: { startUtcMs, endUtcMs, date, label } (lib/window.js buildDays).
+export function buildDigest({
+  cars,
+  intervalsByProduct,
+  day,
+  timezone,
+  hours,
+  minRentableGapHours,
+  thresholds,
+}) {
+  const at = (ms) => fmtInstant(ms, timezone);
+  const carRef = (car) => ({ id: car.id, name: car.name, slug: car.slug });
+  const inDay = (ms) => ms >= day.startUtcMs && ms < day.endUtcMs;
+
+  const firstPickups = [];
+  const noBookings = [];
+  const shortGaps = [];
+  const outOfService = [];
+  const overdue = [];
+
+  for (const car of cars) {
+    const ivals = intervalsByProduct.get(car.id) || [];
+    const bookings = ivals.filter((iv) => !iv.maintenance);
+
+    const first = bookings.find((iv) => inDay(iv.startsRaw.getTime()));
+    if (first) {
+      firstPickups.push({
+        car: carRef(car),
+        at: at(first.startsRaw.getTime()),
+        orderNumber: first.orderNumber,
+        customerName: first.customerName ?? null,
+      });
+    }
+
+    if (!ivals.some((iv) => overlap(iv.startMs, iv.endMs, day.startUtcMs, day.endUtcMs))) {
+      noBookings.push({ car: carRef(car) });
+    }
+
+    for (const iv of ivals) {
+      if (iv.maintenance && overlap(iv.startMs, iv.endMs, day.startUtcMs, day.endUtcMs)) {
+        outOfService.push({ car: carRef(car), reason: iv.maintenance.reason, until: at(iv.endMs) });
+      }
+      if (iv.overdue) {
+        overdue.push({
+          car: carRef(car),
+          dueBack: at(iv.stopsRaw.getTime()),
+          minutesLate: iv.overdue.minutesLate,
+          orderNumber: iv.orderNumber,
+          customerName: iv.customerName ?? null,
+        });
+      }
+    }
+
+    // Sorted by start; a gap is ready-again -> the following pickup
+    for (let i = 0; i + 1 < ivals.length; i++) {
+      const readyMs = roundToBusinessHours(ivals[i].endMs, timezone, hours);
+      const gapMs = ivals[i + 1].startMs - readyMs;
+      if (!inDay(readyMs) || gapMs <= 0 || gapMs >= minRentableGapHours * 3600000) continue;
+      shortGaps.push({
+        car: carRef(car),
+        readyAt: at(readyMs),
+        nextPickupAt: at(ivals[i + 1].startsRaw.getTime()),
+        gapHours: Math.round((gapMs / 3600000) * 100) / 100,
+      });
+    }
+  }
+
+  // As seen first thing that morning: "yesterday" is the evening before
+  const queue = cleaningQueue({
+    cars,
+    intervalsByProduct,
+    nowMs: day.startUtcMs,
+    timezone,
+    hours,
+    thresholds,
+  });
+  const earlyCleaning = queue.sections.priority.map((item) => ({
+    car: item.car,
+    returnAt: item.returnAt,
+    nextPickup: item.nextPickup,
+  }));
+
+  const byTime = (key) => (a, b) => a[key].iso.localeCompare(b[key].iso);
+  return {
+    date: day.date,
+    label: day.label,
+    minRentableGapHours,
+    lateReturnCutoff: thresholds.lateReturnCutoff,
+    firstPickups: firstPickups.sort(byTime("at")),
+    earlyCleaning,
+    noBookings,
+    shortGaps: shortGaps.sort(byTime("readyAt")),
+    outOfService,
+    overdue,
+  };
+}
+
+function lateLabel(minutes) {
+  const h = Math.floor(minutes / 60);
+  return h ? `${h}h ${minutes % 60}m late` : `${minutes}m late`;
+}
+
+function section(title, items, line) {
+  if (items.length === 0) return [`*${title}:* none`];
+  return [`*${title} (${items.length})*`, ...items.map((item) => `• ${line(item)}`)];
+}
+
+// Plain text with Slack-style *bold* (also readable in Teams and email).
+export function renderDigestText(digest, timezone) {
+  const time = (instant) => fmtTime(new Date(instant.iso), timezone);
+  const order = (e) =>
+    [e.orderNumber ? `#${e.orderNumber}` : null, e.customerName].filter(Boolean).join(" ");
+
+  const lines = [
+    `*Bubblegum Cars — ${digest.label}*`,
+    "",
+    ...section("First pickups", digest.firstPickups, (p) =>
+      [`${time(p.at)} ${p.car.name}`, order(p)].filter(Boolean).join(" — ")
+    ),
+    "",
+    ...section(`Clean early — back after ${digest.lateReturnCutoff}`, digest.earlyCleaning, (c) =>
+      `${c.car.name} back ${c.returnAt.local}` +
+      (c.nextPickup ? `, next pickup ${c.nextPickup.at.local}` : ", nothing booked after")
+    ),
+    "",
+    ...section(`Gaps under ${digest.minRentableGapHours}h`, digest.shortGaps, (g) =>
+      `${g.car.name} ready ${time(g.readyAt)}, next pickup ${time(g.nextPickupAt)} (${g.gapHours}h)`
+    ),
+    "",
+    ...section("No bookings", digest.noBookings, (n) => n.car.name),
+  ];
+
+  if (digest.outOfService.length) {
+    lines.push("", ...section("Out of service", digest.outOfService, (o) =>
+      `${o.car.name} — ${o.reason}, until ${o.until.local}`
+    ));
+  }
+  if (digest.overdue.length) {
+    lines.push("", ...section("Overdue now", digest.overdue, (o) =>
+      [`${o.car.name} — due ${o.dueBack.local}, ${lateLabel(o.minutesLate)}`, order(o)]
+        .filter(Boolean)
+        .join(" — ")
+    ));
+  }
+  return lines.join("\n");
+}
@@ -0,0 +1,118 @@
+// lib/dispatch.js
+//
+// Front-desk run-sheet for one day: every pickup and return in time order.
+//
+// A return followed by the same car's next pickup on the same day is one
+// "swap" row (return, then pickup); it's flagged `tight` when the gap between
+// them is under tightGapMinutes. Everything else is a single pickup or return.
+//
+// Today's sheet also lists returns due on an earlier day that are still out,
+// first and flagged `carriedOver` (and `overdue`). They're never part of a
+// swap: nobody knows when the car will be back.
+//
+// Row: { kind: pickup|return, at, car, ...event } for single handovers,
+//      { kind: "swap", at, car, return, pickup, gapMinutes, tight } for swaps.
+// Event: { type, at, planningId, orderNumber, customerName, rentalState, overdue, carriedOver }
+//
+// Out-of-service blocks are not handovers.
+
+import { now } from "./clock.js";
+import { fmtInstant } from "./time.js";
+
+export const TIGHT_GAP_MINUTES_DEFAULT = Number(process.env.DISPATCH_TIGHT_GAP_MINUTES) || 60;
+
+// ?tightGapMinutes= -> { tightGapMinutes } or { error }
+export function tightGapFromQuery(query) {
+  if (query.tightGapMinutes === undefined || query.tightGapMinutes === "") {
+    return { tightGapMinutes: TIGHT_GAP_MINUTES_DEFAULT };
+  }
+  const n = Number(query.tightGapMinutes);
+  if (!Number.isFinite(n) || n < 0) {
+    return { error: `Invalid tightGapMinutes '${query.tightGapMinutes}' (expected a number >= 0)` };
+  }
+  return { tightGapMinutes: n };
+}
+
+// day: { startUtcMs, endUtcMs } (lib/window.js buildDays).
+// Returns { rows, counts: { pickups, returns, swaps, tight, carriedOver } }.
+export function dispatchBoard(
+  { cars, intervalsByProduct, day, timezone, tightGapMinutes, nowMs = now() }
+) {
+  const inDay = (ms) => ms >= day.startUtcMs && ms < day.endUtcMs;
+  const isToday = inDay(nowMs);
+  const rows = [];
+  const counts = { pickups: 0, returns: 0, swaps: 0, tight: 0, carriedOver: 0 };
+
+  for (const car of cars) {
+    const carRef = { id: car.id, name: car.name, slug: car.slug };
+    const bookings = (intervalsByProduct.get(car.id) || []).filter((iv) => !iv.maintenance);
+
+    const event = (iv, type) => {
+      const ms = type === "pickup" ? iv.startsRaw.getTime() : iv.stopsRaw.getTime();
+      return {
+        type,
+        ms,
+        at: fmtInstant(ms, timezone),
+        planningId: iv.planningId,
+        orderNumber: iv.orderNumber,
+        customerName: iv.customerName ?? null,
+        rentalState: iv.rentalState ?? null,
+        overdue: iv.overdue || null,
+        carriedOver: type === "return" && ms < day.startUtcMs,
+      };
+    };
+
+    // This car's handovers today, in time order (returns first on a tie)
+    const events = [];
+    for (const iv of bookings) {
+      const stopMs = iv.stopsRaw.getTime();
+      if (inDay(iv.startsRaw.getTime())) events.push(event(iv, "pickup"));
+      if (inDay(stopMs)) events.push(event(iv, "return"));
+      else if (isToday && iv.overdue && iv.rentalState !== "returned" && stopMs < day.startUtcMs) {
+        events.push(event(iv, "return"));
+      }
+    }
+    events.sort((a, b) => a.ms - b.ms || (a.type === "return" ? -1 : 1));
+
+    for (let i = 0; i < events.length; i++) {
+      const e = events[i];
+      const next = events[i + 1];
+      if (e.type === "return") counts.returns++;
+      else counts.pickups++;
+      if (e.carriedOver) counts.carriedOver++;
+
+      if (e.type === "return" && !e.carriedOver && next?.type === "pickup") {
+        const gapMinutes = Math.round((next.ms - e.ms) / 60000);
+        const tight = gapMinutes < tightGapMinutes;
+        counts.pickups++;
+        counts.swaps++;
+        if (tight) counts.tight++;
+        rows.push({
+          kind: "swap",
+          ms: e.ms,
+          at: e.at,
+          car: carRef,
+          return: e,
+          pickup: next,
+          gapMinutes,
+          tight,
+        });
+        i++;
+        continue;
+      }
+      const { type, ...single } = e;
+      rows.push({ kind: type, ...single, car: carRef });
+    }
+  }
+
+  rows.sort((a, b) => a.ms - b.ms || a.car.name.localeCompare(b.car.name, "en"));
+
+  // `ms` was only for sorting
+  const strip = ({ ms, ...rest }) => rest;
+  return {
+    rows: rows.map((r) =>
+      r.kind === "swap" ? { ...strip(r), return: strip(r.return), pickup: strip(r.pickup) } : strip(r)
+    ),
+    counts,
+  };
+}
@@ -0,0 +1,80 @@
+// lib/errors.js
+//
+// Typed API errors. Every error response is { error, code }: `error` is for
+// people, `code` is what pages and other callers should branch on.
+//
+// Codes (HTTP status):
+// - BAD_REQUEST (400), UNAUTHORISED (401), FORBIDDEN (403), NOT_FOUND (404),
+//   METHOD_NOT_ALLOWED (405)
+// - NOT_CONFIGURED (500)         a required setting is missing (e.g. Booqable credentials)
+// - BOOQABLE_AUTH (502)          Booqable rejected the access token
+// - BOOQABLE_RATE_LIMITED (503)  still rate-limited after retries
+// - BOOQABLE_TIMEOUT (504)       a Booqable request timed out
+// - BOOQABLE_BUSY (503)          out of time or requests for this call
+// - BOOQABLE_ERROR (502)         Booqable unreachable or any other Booqable failure
+// - UNAVAILABLE (503)            can't answer right now (e.g. incomplete data we won't publish)
+// - DELIVERY_FAILED (502)        a notification (webhook, email) wasn't accepted
+// - INTERNAL (500)               anything else
+//
+// The BOOQABLE_* codes other than BOOQABLE_AUTH, and UNAVAILABLE, are
+// transient: retry after a short wait.
+
+export const ERROR_STATUS = {
+  BAD_REQUEST: 400,
+  UNAUTHORISED: 401,
+  FORBIDDEN: 403,
+  NOT_FOUND: 404,
+  METHOD_NOT_ALLOWED: 405,
+  NOT_CONFIGURED: 500,
+  BOOQABLE_AUTH: 502,
+  BOOQABLE_RATE_LIMITED: 503,
+  BOOQABLE_TIMEOUT: 504,
+  BOOQABLE_BUSY: 503,
+  BOOQABLE_ERROR: 502,
+  UNAVAILABLE: 503,
+  DELIVERY_FAILED: 502,
+  INTERNAL: 500,
+};
+
+const TRANSIENT = new Set([
+  "BOOQABLE_RATE_LIMITED",
+  "BOOQABLE_TIMEOUT",
+  "BOOQABLE_BUSY",
+  "BOOQABLE_ERROR",
+  "UNAVAILABLE",
+]);
+
+export class ApiError extends Error {
+  constructor(code, message, options) {
+    super(message, options);
+    this.name = "ApiError";
+    this.code = code;
+    this.status = ERROR_STATUS[code] ?? 500;
+  }
+}
+
+export function isTransient(code) {
+  return TRANSIENT.has(code);
+}
+
+export function missingCredentialsError() {
+  return new ApiError("NOT_CONFIGURED", "Missing BOOQABLE_COMPANY_SLUG or BOOQABLE_ACCESS_TOKEN");
+}
+
+export function missingStaffSecretError() {
+  return new ApiError("NOT_CONFIGURED", "Missing STAFF_API_SECRET");
+}
+
+// Code for an error response that didn't name one
+export function codeForStatus(status) {
+  const exact = Object.entries(ERROR_STATUS).find(
+    ([code, s]) => s === status && !code.startsWith("BOOQABLE_") && code !== "NOT_CONFIGURED"
+  );
+  return exact ? exact[0] : status >= 500 ? "INTERNAL" : "BAD_REQUEST";
+}
+
+// { status, code, message } for anything thrown
+export function describeError(e) {
+  if (e instanceof ApiError) return { status: e.status, code: e.code, message: e.message };
+  return { status: 500, code: "INTERNAL", message: e?.message || String(e) };
+}
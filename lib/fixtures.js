@@ -0,0 +1,139 @@
+// lib/fixtures.js
+//
+// Record / replay Booqable responses, to reproduce a wrong tile or try a
+// change without touching production data.
+//
+// BOOQABLE_FIXTURES (env):
+// - record  call Booqable as usual and also merge every response into the
+//           fixture dir (run it against a window that shows the problem)
+// - replay  no network, no credentials: /settings/current, /products and
+//           /plannings are answered from the fixture dir, and "now"
+//           (lib/clock.js) is the fixture's recordedAt unless CLOCK_NOW is set
+// BOOQABLE_FIXTURES_DIR  (default fixtures/recorded, git-ignored: real customer data)
+//
+// Hand-written scenarios live in fixtures/scenarios/<name> (late returns,
+// back-to-back bookings, excluded add-ons): point BOOQABLE_FIXTURES_DIR at one
+// and call the API routes as usual. Use the default memory store
+// (lib/store.js) when switching fixtures, or cached catalogs and payloads carry over.
+// test/scenarios.test.js replays each one (`node --test`): update its expected
+// tiles when changing a scenario.
+//
+// A fixture dir holds:
+// - meta.json       { recordedAt, company, description? }
+// - settings.json   the /settings/current document
+// - products.json   { data, included }  every product seen, with its product group
+// - plannings.json  { data, included }  every planning seen, with its included records
+//
+// Replay pages lists like Booqable (page[size], page[number], meta.total_count)
+// and applies the plannings date filter in the account timezone.
+
+import fs from "node:fs";
+import path from "node:path";
+import { parseBooqableDate } from "./time.js";
+
+const FILES = {
+  "/settings/current": "settings.json",
+  "/products": "products.json",
+  "/plannings": "plannings.json",
+};
+
+// "record" | "replay" | null
+export function fixturesMode() {
+  const mode = (process.env.BOOQABLE_FIXTURES || "").trim().toLowerCase();
+  return mode === "record" || mode === "replay" ? mode : null;
+}
+
+export function fixturesDir() {
+  return path.resolve(process.env.BOOQABLE_FIXTURES_DIR || "fixtures/recorded");
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(fixturesDir(), file), "utf8"));
+  } catch (e) {
+    if (e.code === "ENOENT") return null;
+    throw new Error(`Bad fixture ${file} in ${fixturesDir()}: ${e.message}`);
+  }
+}
+
+// Sync writes: development only, and parallel page fetches can't interleave
+function writeJson(file, value) {
+  fs.mkdirSync(fixturesDir(), { recursive: true });
+  fs.writeFileSync(path.join(fixturesDir(), file), `${JSON.stringify(value, null, 2)}\n`);
+}
+
+export function fixtureMeta() {
+  return readJson("meta.json") || {};
+}
+
+export function fixtureRecordedAtMs() {
+  const ms = Date.parse(fixtureMeta().recordedAt);
+  return Number.isNaN(ms) ? null : ms;
+}
+
+function splitPath(apiPath) {
+  const url = new URL(apiPath, "http://fixture");
+  return { pathname: url.pathname, params: url.searchParams };
+}
+
+// Merge by type:id so re-fetched pages replace rather than duplicate
+function mergeRecords(existing = [], incoming = []) {
+  const byKey = new Map(existing.map((r) => [`${r.type}:${r.id}`, r]));
+  for (const r of incoming) byKey.set(`${r.type}:${r.id}`, r);
+  return [...byKey.values()];
+}
+
+// Save one live response (record mode)
+export function recordFixture(apiPath, doc, company) {
+  const file = FILES[splitPath(apiPath).pathname];
+  if (!file) return;
+
+  if (file === "settings.json") {
+    writeJson(file, doc);
+  } else {
+    const prev = readJson(file) || {};
+    writeJson(file, {
+      data: mergeRecords(prev.data, doc?.data),
+      included: mergeRecords(prev.included, doc?.included),
+    });
+  }
+  writeJson("meta.json", { ...fixtureMeta(), recordedAt: new Date().toISOString(), company });
+}
+
+function timezoneOf(settings) {
+  return settings?.data?.attributes?.defaults?.timezone || "UTC";
+}
+
+// Booqable's filter: starts_at <= till and stops_at >= from
+function inDateFilter(planning, params, timezone) {
+  const till = params.get("filter[starts_at][lte]");
+  const from = params.get("filter[stops_at][gte]");
+  const starts = parseBooqableDate(planning.attributes?.starts_at, timezone);
+  const stops = parseBooqableDate(planning.attributes?.stops_at, timezone);
+  if (till && starts && starts.getTime() > Date.parse(till)) return false;
+  if (from && stops && stops.getTime() < Date.parse(from)) return false;
+  return true;
+}
+
+// Answer one API path from the fixture dir (replay mode)
+export function replayFixture(apiPath) {
+  const { pathname, params } = splitPath(apiPath);
+  const file = FILES[pathname];
+  const doc = file ? readJson(file) : null;
+  if (!doc) throw new Error(`No fixture for ${pathname} in ${fixturesDir()}`);
+  if (file === "settings.json") return doc;
+
+  let rows = doc.data || [];
+  if (file === "plannings.json") {
+    const timezone = timezoneOf(readJson("settings.json"));
+    rows = rows.filter((pl) => inDateFilter(pl, params, timezone));
+  }
+
+  const size = Number(params.get("page[size]")) || rows.length || 1;
+  const number = Number(params.get("page[number]")) || 1;
+  return {
+    data: rows.slice((number - 1) * size, number * size),
+    included: doc.included || [],
+    meta: { total_count: rows.length },
+  };
+}
@@ -0,0 +1,475 @@
+// lib/fleet.js
+//
+// Loads the car fleet and its booked intervals from Booqable.
+//
+// - Use JSON:API Accept header (often required for include/relationships to be populated)
+// - Filter /plannings by date range (reduces load + 429s)
+// - Map plannings to products via multiple strategies:
+//    A) planning -> order -> lines -> product
+//    B) planning -> product
+//    C) planning -> item -> product
+//    D) planning -> inventory_level -> product
+// - Which products are cars, and their categories/location: lib/fleetConfig.js
+//   (include/exclude lists, add-on keywords, product groups and tags)
+// - Add the app's own out-of-service blocks (lib/maintenance.js) as intervals
+// - Use the planning/order status: a car still out after its return time is
+//   overdue and stays unavailable; a car back early frees up; canceled ones are dropped
+// - Pages after the first are fetched in parallel (lib/booqable.js fetchPages);
+//   if the client's deadline hits mid-plannings, or a later plannings page
+//   fails, the pages we have are used and debug.planningsPartial is set
+//   (failed page numbers in debug.planningsFailedPages); so is a failed read
+//   of the maintenance blocks (debug.maintenanceError)
+// - Planning counts (fetched, mapped, dropped) also go to lib/metrics.js
+
+import { fetchPages } from "./booqable.js";
+import { CATALOG_TTL_MS, cached } from "./cache.js";
+import { now } from "./clock.js";
+import { classifyProduct, filterCars } from "./fleetConfig.js";
+import { addMaintenanceIntervals } from "./maintenance.js";
+import { count } from "./metrics.js";
+import { parseBooqableDate } from "./time.js";
+import { buildDays } from "./window.js";
+
+const MAX_PRODUCTS_PAGES = 10;
+export const MAX_PLANNINGS_PAGES_PER_DAY = 10; // safety cap, scales with the window
+
+// Overdue rentals: how far back to look for cars that should already be back,
+// and how long from now an overdue car is assumed to stay out
+const OVERDUE_LOOKBACK_HOURS = Number(process.env.OVERDUE_LOOKBACK_HOURS) || 72;
+const OVERDUE_ASSUME_BACK_MINUTES = Number(process.env.OVERDUE_ASSUME_BACK_MINUTES) || 60;
+
+// Booqable planning/order status -> where the car is
+const RENTAL_STATES = {
+  new: "reserved",
+  concept: "reserved",
+  reserved: "reserved",
+  started: "on-rent",
+  stopped: "returned",
+  archived: "returned",
+  canceled: "canceled",
+  cancelled: "canceled",
+};
+
+export function createDebug() {
+  return {
+    timezone: null,
+    timezone_offset_minutes: null,
+    fetchedProducts: 0,
+    carProducts: 0,
+    fetchedPlannings: 0,
+    includedCounts: {},
+    relationshipKeyStats: {},
+    planningsMappedToCars: 0,
+    planningsDroppedNoRel: 0,
+    planningsDroppedUnknownCar: 0,
+    planningsDateRange: null,
+    planningsPagesFetched: 0,
+    planningsTruncated: false,
+    planningsPartial: false,
+    planningsFailedPages: [],
+    planningsCanceled: 0,
+    overdueRentals: 0,
+    maintenanceBlocks: 0,
+    maintenanceError: null,
+    sampleItemStructure: null,  // NEW: will capture first item's structure
+    samplePlanningStructure: null,  // NEW: will capture first planning's structure
+  };
+}
+
+// Settings (timezone + offset)
+// The fixed offset is informational only; local-time arithmetic uses the IANA timezone.
+export async function fetchSettings(booqable, debug) {
+  const settings = await booqable("/settings/current");
+  const timezone = settings?.data?.attributes?.defaults?.timezone || "UTC";
+  const offsetMinutes = settings?.data?.attributes?.defaults?.timezone_offset || 0;
+  debug.timezone = timezone;
+  debug.timezone_offset_minutes = offsetMinutes;
+  return { timezone, offsetMinutes };
+}
+
+// Every product with its classification (lib/fleetConfig.js):
+// [{ product, isCar, rule, group, tags, categories, location }]
+export async function fetchProducts(booqable, debug) {
+  // No partial product lists: a missing car would look like it doesn't exist
+  const { pages } = await fetchPages(booqable, "/products?include=product_group", {
+    maxPages: MAX_PRODUCTS_PAGES,
+  });
+  const products = pages.flatMap((out) => out?.data || []);
+  debug.fetchedProducts = products.length;
+
+  const groupsById = new Map();
+  for (const inc of pages.flatMap((out) => out?.included || [])) {
+    if (inc?.type !== "product_groups") continue;
+    groupsById.set(inc.id, { name: inc.attributes?.name, tags: inc.attributes?.tag_list || [] });
+  }
+
+  return products.map((product) => {
+    const groupId =
+      product.attributes?.product_group_id || product.relationships?.product_group?.data?.id;
+    return { product, ...classifyProduct(product, groupsById.get(groupId) || null) };
+  });
+}
+
+// Products (cars)
+export async function fetchCars(booqable, debug) {
+  const cars = (await fetchProducts(booqable, debug))
+    .filter((p) => p.isCar)
+    .map(({ product: p, categories, location }) => ({
+      id: p.id,
+      name: (p.attributes?.name || "").trim(),
+      slug: p.attributes?.slug,
+      photo_url: p.attributes?.photo_url,
+      buffer_before_s: p.attributes?.buffer_time_before || 0,
+      buffer_after_s: p.attributes?.buffer_time_after || 0,
+      showInStore: p.attributes?.show_in_store === true,
+      categories,
+      location,
+    }));
+
+  debug.carProducts = cars.length;
+  return cars;
+}
+
+// Settings + car list, cached for CATALOG_TTL_MS (they rarely change).
+export async function fetchCatalog(booqable, debug) {
+  let fromCache = true;
+  const catalog = await cached("catalog", CATALOG_TTL_MS, async () => {
+    fromCache = false;
+    const settings = await fetchSettings(booqable, debug);
+    const cars = await fetchCars(booqable, debug);
+    return { ...settings, cars };
+  });
+  debug.catalogFromCache = fromCache;
+  debug.timezone = catalog.timezone;
+  debug.timezone_offset_minutes = catalog.offsetMinutes;
+  debug.carProducts = catalog.cars.length;
+  return catalog;
+}
+
+// Find a car by product id or slug.
+export function findCar(cars, idOrSlug) {
+  const key = String(idOrSlug || "").trim().toLowerCase();
+  if (!key) return null;
+  return cars.find((c) => c.id === key || (c.slug || "").toLowerCase() === key) || null;
+}
+
+// The debug counters mirrored in lib/metrics.js
+function plannedCounts(debug) {
+  return {
+    planningsFetched: debug.fetchedPlannings,
+    planningsMappedToCars: debug.planningsMappedToCars,
+    planningsDroppedNoRel: debug.planningsDroppedNoRel,
+    planningsDroppedUnknownCar: debug.planningsDroppedUnknownCar,
+    planningsCanceled: debug.planningsCanceled,
+  };
+}
+
+// Plannings -> Map(productId -> sorted intervals)
+//
+// IMPORTANT: include must be on the SAME request, and JSON:API Accept must be set,
+// otherwise "included" can come back empty and relationships might be sparse.
+//
+// We request multiple include paths, and then map plannings -> products using:
+// - planning.relationships.order -> included order -> order.relationships.lines -> included line -> line.relationships.product
+// - planning.relationships.product (if exists)
+// - planning.relationships.item -> included item -> item.relationships.product
+// - planning.relationships.inventory_level -> included inventory_level -> inventory_level.relationships.product
+//
+// Each interval: { startMs, endMs } buffered, { startsRaw, stopsRaw } unbuffered,
+// plus planningId / orderId / orderNumber / customerName for referencing the booking,
+// rentalState (reserved | on-rent | returned, null when Booqable doesn't say),
+// overdue ({ minutesLate } when on rent past stopsRaw, else null) and
+// returnedRaw (when a car due back later was checked in, else null).
+// Overdue intervals end OVERDUE_ASSUME_BACK_MINUTES (+ buffer) from now.
+export async function fetchIntervals(
+  booqable,
+  { cars, fromIso, tillIso, maxPages, timezone, debug, nowMs = now() }
+) {
+  const carById = new Map(cars.map((c) => [c.id, c]));
+  const intervalsByProduct = new Map(cars.map((c) => [c.id, []]));
+
+  // Windows reaching back to now also need rentals that should have ended
+  // before the window but are still out
+  const fromMs = Date.parse(fromIso);
+  const fetchFromIso =
+    fromMs <= nowMs ? new Date(fromMs - OVERDUE_LOOKBACK_HOURS * 3600000).toISOString() : fromIso;
+
+  debug.planningsDateRange = { fromIso: fetchFromIso, tillIso };
+
+  const includeParam = [
+    "order",
+    "order.customer",
+    "order.lines",
+    "order.lines.product",
+    "product",
+    "item",
+    "item.product",
+    "inventory_level",
+    "inventory_level.product",
+  ].join(",");
+
+  const basePlanningsPath =
+    `/plannings?filter[starts_at][lte]=${encodeURIComponent(tillIso)}` +
+    `&filter[stops_at][gte]=${encodeURIComponent(fetchFromIso)}` +
+    `&include=${encodeURIComponent(includeParam)}`;
+
+  // Store included by type:id
+  const includedByKey = new Map();
+  function indexIncluded(included) {
+    if (!Array.isArray(included)) return;
+    for (const inc of included) {
+      if (!inc?.type || !inc?.id) continue;
+      includedByKey.set(`${inc.type}:${inc.id}`, inc);
+      debug.includedCounts[inc.type] = (debug.includedCounts[inc.type] || 0) + 1;
+    }
+  }
+
+  function getIncluded(type, id) {
+    return includedByKey.get(`${type}:${id}`) || null;
+  }
+
+  function statRelKeys(pl) {
+    const rel = pl?.relationships || {};
+    for (const k of Object.keys(rel)) {
+      debug.relationshipKeyStats[k] = (debug.relationshipKeyStats[k] || 0) + 1;
+    }
+  }
+
+  function getRelType(relObj) {
+    const d = relObj?.data;
+    if (!d) return null;
+    if (Array.isArray(d)) return d[0]?.type || null;
+    return d.type || null;
+  }
+
+  function resolveProductIdFromPlanning(pl) {
+    const rel = pl?.relationships || {};
+    const attrs = pl?.attributes || {};
+
+    // CRITICAL: In Booqable v4, item_id in planning attributes IS the product ID
+    // The "item" relationship just returns the product with type "products"
+    if (attrs.item_id) return attrs.item_id;
+
+    // A) Direct product relationship
+    if (rel.product?.data?.id) return rel.product.data.id;
+
+    // Some APIs use plural products
+    if (Array.isArray(rel.products?.data) && rel.products.data[0]?.id) {
+      return rel.products.data[0].id;
+    }
+
+    // B) inventory_level -> product
+    if (rel.inventory_level?.data?.id) {
+      const invType = getRelType(rel.inventory_level) || "inventory_level";
+      const inv = getIncluded(invType, rel.inventory_level.data.id);
+      const prodId = inv?.relationships?.product?.data?.id;
+      if (prodId) return prodId;
+    }
+
+    // C) item -> product (check both relationship AND attributes)
+    if (rel.item?.data?.id) {
+      const itemType = getRelType(rel.item) || "item";
+      const item = getIncluded(itemType, rel.item.data.id);
+      
+      // Try relationship first
+      const prodIdFromRel = item?.relationships?.product?.data?.id;
+      if (prodIdFromRel) return prodIdFromRel;
+      
+      // Try attributes.product_id as fallback
+      const prodIdFromAttr = item?.attributes?.product_id;
+      if (prodIdFromAttr) return prodIdFromAttr;
+    }
+
+    // D) order -> lines -> product
+    if (rel.order?.data?.id) {
+      const orderType = getRelType(rel.order) || "order";
+      const order = getIncluded(orderType, rel.order.data.id);
+      const lines = order?.relationships?.lines?.data;
+
+      if (Array.isArray(lines)) {
+        for (const lineRef of lines) {
+          const line = getIncluded(lineRef.type, lineRef.id);
+          const prodId = line?.relationships?.product?.data?.id;
+          if (prodId && carById.has(prodId)) return prodId;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  // "reserved" | "on-rent" | "returned" | "canceled" | null (unknown).
+  // The planning's own status wins (an order can have one car out and another
+  // back), then its started/stopped quantities, then the order's status.
+  function rentalStateOf(pl, order) {
+    const attrs = pl?.attributes || {};
+    const counted = attrs.stopped > 0 ? "stopped" : attrs.started > 0 ? "started" : null;
+    const status = attrs.status || counted || order?.attributes?.status;
+    return RENTAL_STATES[status] ?? null;
+  }
+
+  // Customer name for run-sheets: on the order itself, else its included customer
+  function customerNameOf(order) {
+    if (!order) return null;
+    if (order.attributes?.customer_name) return order.attributes.customer_name;
+    const ref = order.relationships?.customer?.data;
+    const customer = ref?.id ? getIncluded(ref.type || "customers", ref.id) : null;
+    return customer?.attributes?.name ?? null;
+  }
+
+  const { pages, truncated, partial, failedPages } = await fetchPages(booqable, basePlanningsPath, {
+    maxPages,
+    allowPartial: true,
+  });
+  debug.planningsPagesFetched = pages.length;
+  debug.planningsTruncated = truncated;
+  debug.planningsPartial = partial;
+  debug.planningsFailedPages = failedPages;
+  const countsBefore = plannedCounts(debug);
+
+  // Index every page's included records before mapping rows
+  for (const out of pages) indexIncluded(out?.included);
+  const rows = pages.flatMap((out) => out?.data || []);
+  debug.fetchedPlannings += rows.length;
+
+  for (const pl of rows) {
+    statRelKeys(pl);
+    
+    // Capture first planning structure for debugging
+    if (!debug.samplePlanningStructure) {
+      debug.samplePlanningStructure = {
+        id: pl.id,
+        type: pl.type,
+        attributes: pl.attributes,
+        relationships: Object.keys(pl.relationships || {})
+      };
+    }
+    
+    // Capture first item structure if available
+    if (!debug.sampleItemStructure && pl.relationships?.item?.data?.id) {
+      const itemType = getRelType(pl.relationships.item) || "item";
+      const item = getIncluded(itemType, pl.relationships.item.data.id);
+      if (item) {
+        debug.sampleItemStructure = {
+          id: item.id,
+          type: item.type,
+          attributes: item.attributes,
+          relationships: Object.keys(item.relationships || {})
+        };
+      }
+    }
+
+    const productId = resolveProductIdFromPlanning(pl);
+    if (!productId) {
+      debug.planningsDroppedNoRel++;
+      continue;
+    }
+    if (!carById.has(productId)) {
+      debug.planningsDroppedUnknownCar++;
+      continue;
+    }
+
+    const starts = parseBooqableDate(pl?.attributes?.starts_at, timezone);
+    const stops = parseBooqableDate(pl?.attributes?.stops_at, timezone);
+    if (!starts || !stops) continue;
+
+    const orderRel = pl.relationships?.order;
+    const order = orderRel?.data?.id
+      ? getIncluded(getRelType(orderRel) || "order", orderRel.data.id)
+      : null;
+
+    const rentalState = rentalStateOf(pl, order);
+    if (rentalState === "canceled") {
+      debug.planningsCanceled++;
+      continue;
+    }
+
+    const stopMs = stops.getTime();
+    const overdue =
+      rentalState === "on-rent" && stopMs < nowMs
+        ? { minutesLate: Math.floor((nowMs - stopMs) / 60000) }
+        : null;
+    // Only fetched for the overdue lookback
+    if (!overdue && stopMs < fromMs) continue;
+
+    let startMs = starts.getTime();
+    let endMs = stopMs;
+    let returnedRaw = null;
+
+    const car = carById.get(productId);
+    const afterMs = (car.buffer_after_s || 0) * 1000;
+
+    // apply buffers (seconds)
+    startMs -= (car.buffer_before_s || 0) * 1000;
+    endMs += afterMs;
+
+    if (overdue) {
+      // Still out: unavailable until it's actually checked in
+      endMs = Math.max(endMs, nowMs + OVERDUE_ASSUME_BACK_MINUTES * 60000 + afterMs);
+      debug.overdueRentals++;
+    } else if (rentalState === "returned" && stopMs > nowMs) {
+      // Back early: only the turnaround buffer is left. Booqable doesn't say
+      // when it was checked in, only that it was by now.
+      endMs = Math.max(startMs, Math.min(endMs, nowMs + afterMs));
+      returnedRaw = new Date(Math.max(starts.getTime(), nowMs));
+    }
+
+    intervalsByProduct.get(productId).push({
+      startMs,
+      endMs,
+      startsRaw: starts, // unbuffered start
+      stopsRaw: stops,   // unbuffered stop (when it was due back, if overdue)
+      returnedRaw,
+      planningId: pl.id,
+      orderId: orderRel?.data?.id || pl.attributes?.order_id || null,
+      orderNumber: order?.attributes?.number ?? null,
+      customerName: customerNameOf(order),
+      rentalState,
+      overdue,
+    });
+
+    debug.planningsMappedToCars++;
+  }
+
+  for (const [name, n] of Object.entries(plannedCounts(debug))) count(name, n - countsBefore[name]);
+
+  // Out-of-service blocks count like bookings. If the store is down, carry on
+  // with bookings only rather than take availability down with it, but mark
+  // the result partial: a blocked car would otherwise show as free.
+  try {
+    debug.maintenanceBlocks = await addMaintenanceIntervals(intervalsByProduct, {
+      fromMs: Date.parse(fromIso),
+      tillMs: Date.parse(tillIso),
+    });
+  } catch (e) {
+    count("maintenanceUnavailable");
+    debug.maintenanceError = e.message;
+    debug.planningsPartial = true;
+  }
+
+  // sort intervals per car
+  for (const arr of intervalsByProduct.values()) {
+    arr.sort((a, b) => a.startMs - b.startMs);
+  }
+
+  return intervalsByProduct;
+}
+
+// Settings, day windows (local midnights), cars and their booked intervals
+// for a parsed window query. filter ({ category, location }, see
+// lib/fleetConfig.js) narrows the cars returned.
+export async function loadFleetWindow(booqable, windowQuery, debug, filter = null) {
+  const { timezone, cars } = await fetchCatalog(booqable, debug);
+  const days = buildDays(windowQuery, now(), timezone);
+
+  const intervalsByProduct = await fetchIntervals(booqable, {
+    cars,
+    fromIso: new Date(days[0].startUtcMs).toISOString(),
+    tillIso: new Date(days[days.length - 1].endUtcMs).toISOString(),
+    maxPages: MAX_PLANNINGS_PAGES_PER_DAY * days.length,
+    timezone,
+    debug,
+  });
+
+  return { timezone, days, cars: filterCars(cars, filter), intervalsByProduct };
+}
@@ -0,0 +1,179 @@
+// lib/fleetConfig.js
+//
+// Which Booqable products are cars, and which categories and location each
+// car belongs to.
+//
+// Loaded once per instance from (first match wins):
+// - env FLEET_CONFIG_JSON  (the JSON itself)
+// - env FLEET_CONFIG_FILE  (path to a JSON file)
+// - config/fleet.json
+// plus env FLEET_INCLUDE / FLEET_EXCLUDE (comma-separated product ids or slugs),
+// added to the lists.
+//
+// Shape:
+// {
+//   "include": ["<product id or slug>"],         // always a car for staff, even hidden from the store
+//   "exclude": ["<product id or slug>"],         // never a car
+//   "excludeKeywords": ["additional driver"],    // name/slug containing one is not a car
+//   "categories": {
+//     "convertibles": { "groups": ["Convertibles"], "tags": ["convertible"], "products": ["mustang"] }
+//   },
+//   "locations": {
+//     "<location key, as in business-hours.json>": { "groups": [], "tags": [], "products": [] }
+//   }
+// }
+//
+// Rules, first match wins: exclude list, include list, keyword, then the
+// default (product_type "rental", trackable and shown in the store).
+// Matchers: "groups" are Booqable product group names, "tags" the product's
+// or its group's tags (both case-insensitive), "products" ids or slugs.
+// A car can be in several categories and at most one location (first match).
+//
+// The include list only reaches staff views: public output (the customer
+// widget) keeps to cars shown in the store, see publicCars.
+
+import fs from "node:fs";
+import path from "node:path";
+
+// Add-ons booked alongside cars (used when excludeKeywords isn't configured)
+export const DEFAULT_EXCLUDE_KEYWORDS = [
+  "additional driver",
+  "add on",
+  "addon",
+  "accident excess",
+  "excess",
+  "insurance",
+];
+
+let _config = null;
+
+function envList(name) {
+  return (process.env[name] || "").split(",").map((s) => s.trim()).filter(Boolean);
+}
+
+function readConfig() {
+  if (process.env.FLEET_CONFIG_JSON) return JSON.parse(process.env.FLEET_CONFIG_JSON);
+
+  const file = process.env.FLEET_CONFIG_FILE || path.join(process.cwd(), "config", "fleet.json");
+  if (fs.existsSync(file)) return JSON.parse(fs.readFileSync(file, "utf8"));
+
+  return {};
+}
+
+const lower = (list) => (list || []).map((s) => String(s).trim().toLowerCase()).filter(Boolean);
+
+function parseMatchers(groups, where) {
+  return Object.entries(groups || {}).map(([key, m]) => {
+    if (!m || typeof m !== "object" || Array.isArray(m)) {
+      throw new Error(`Invalid ${where}.${key} in fleet config, expected { groups, tags, products }`);
+    }
+    return { key, groups: lower(m.groups), tags: lower(m.tags), products: lower(m.products) };
+  });
+}
+
+export function loadFleetConfig() {
+  if (_config) return _config;
+  const raw = readConfig();
+  _config = {
+    include: lower([...(raw.include || []), ...envList("FLEET_INCLUDE")]),
+    exclude: lower([...(raw.exclude || []), ...envList("FLEET_EXCLUDE")]),
+    excludeKeywords: lower(raw.excludeKeywords ?? DEFAULT_EXCLUDE_KEYWORDS),
+    categories: parseMatchers(raw.categories, "categories"),
+    locations: parseMatchers(raw.locations, "locations"),
+  };
+  return _config;
+}
+
+export function fleetCategories() {
+  return loadFleetConfig().categories.map((c) => c.key);
+}
+
+export function fleetLocations() {
+  return loadFleetConfig().locations.map((l) => l.key);
+}
+
+// The product id or slug on a list, if any
+function listed(list, product) {
+  const keys = [product.id, product.attributes?.slug].map((s) => String(s || "").toLowerCase());
+  return keys.find((k) => k && list.includes(k)) || null;
+}
+
+function matches(matcher, product, group, tags) {
+  return (
+    listed(matcher.products, product) !== null ||
+    (group && matcher.groups.includes(group.toLowerCase())) ||
+    tags.some((t) => matcher.tags.includes(t.toLowerCase()))
+  );
+}
+
+// Why a product is (or isn't) a car: { isCar, rule }
+function carRule(product, config) {
+  const a = product.attributes || {};
+
+  const excluded = listed(config.exclude, product);
+  if (excluded) return { isCar: false, rule: `exclude list (${excluded})` };
+  const included = listed(config.include, product);
+  if (included) return { isCar: true, rule: `include list (${included})` };
+
+  const name = (a.name || "").toLowerCase();
+  const slug = (a.slug || "").toLowerCase();
+  const keyword = config.excludeKeywords.find((k) => name.includes(k) || slug.includes(k));
+  if (keyword) return { isCar: false, rule: `keyword "${keyword}"` };
+
+  if (a.product_type !== "rental") return { isCar: false, rule: `product_type ${a.product_type}` };
+  if (a.trackable !== true) return { isCar: false, rule: "not trackable" };
+  if (a.show_in_store !== true) return { isCar: false, rule: "hidden from store" };
+  return { isCar: true, rule: "rental, trackable, in store" };
+}
+
+// group: { name, tags } of the product's Booqable product group, or null.
+// Returns { isCar, rule, group, tags, categories, location }.
+export function classifyProduct(product, group = null) {
+  const config = loadFleetConfig();
+  const groupName = group?.name || null;
+  const tags = [...new Set([...(product.attributes?.tag_list || []), ...(group?.tags || [])])];
+
+  return {
+    ...carRule(product, config),
+    group: groupName,
+    tags,
+    categories: config.categories.filter((c) => matches(c, product, groupName, tags)).map((c) => c.key),
+    location: config.locations.find((l) => matches(l, product, groupName, tags))?.key ?? null,
+  };
+}
+
+// ?category=<key>&location=<key> -> { filter } or { error } for an unknown category.
+// Locations are checked by businessHoursFromQuery (lib/hours.js); one without
+// a fleet entry only changes opening hours, so it doesn't filter cars.
+export function fleetFilterFromQuery(query) {
+  const category = String(query.category || "").trim() || null;
+  if (category && !fleetCategories().includes(category)) {
+    return { error: `Unknown category '${category}'` };
+  }
+  const location = String(query.location || "").trim() || null;
+  return {
+    filter: {
+      category,
+      location: location && fleetLocations().includes(location) ? location : null,
+    },
+  };
+}
+
+export function filterCars(cars, filter) {
+  if (!filter) return cars;
+  return cars.filter(
+    (car) =>
+      (!filter.category || (car.categories || []).includes(filter.category)) &&
+      (!filter.location || car.location === filter.location)
+  );
+}
+
+// Cars customers may see: included cars hidden from the store stay staff-only.
+export function publicCars(cars) {
+  return cars.filter((car) => car.showInStore === true);
+}
+
+// Part of a cache key for a filtered response
+export function fleetFilterKey(filter) {
+  return `${filter?.category || ""}|${filter?.location || ""}`;
+}
@@ -0,0 +1,184 @@
+// lib/hours.js
+//
+// Opening hours: per-weekday open/close, closed dates (public holidays) and
+// optional per-location overrides.
+//
+// Loaded once per instance from (first match wins):
+// - env BUSINESS_HOURS_JSON  (the JSON itself)
+// - env BUSINESS_HOURS_FILE  (path to a JSON file)
+// - config/business-hours.json
+//
+// Shape:
+// {
+//   "weekly": { "mon": ["09:00", "18:00"], ..., "sun": ["10:00", "16:00"] },  // null = closed all day
+//   "closedDates": ["2026-12-25", "2026-12-26"],
+//   "earlyReturnGraceMinutes": 15,        // returns this close to opening count as in-hours
+//   "locations": {
+//     "<location id or name>": { "weekly": { "sat": null }, "closedDates": ["2026-11-03"] }
+//   }
+// }
+//
+// Location overrides replace individual weekdays and add to closedDates.
+
+import fs from "node:fs";
+import path from "node:path";
+
+import { fleetLocations } from "./fleetConfig.js";
+import { localParts, zonedTimeToUtcMs } from "./time.js";
+
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const MAX_CLOSED_DAYS_AHEAD = 31; // give up searching for the next opening after this
+
+// Same as the old hardcoded rule: open 09:00-18:00 daily, returns from 08:45 count as in-hours
+const DEFAULT_HOURS = {
+  weekly: Object.fromEntries(WEEKDAYS.map((d) => [d, ["09:00", "18:00"]])),
+  closedDates: [],
+  earlyReturnGraceMinutes: 15,
+  locations: {},
+};
+
+let _config = null;
+const _resolved = new Map(); // location key -> resolved hours
+
+function parseHHMM(str, where) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(str || "");
+  // 24:00 is the end of the day; nothing later
+  const minutes = match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+  if (!match || Number(match[2]) > 59 || minutes > 24 * 60) {
+    throw new Error(`Invalid time '${str}' in business hours (${where}), expected HH:MM`);
+  }
+  return minutes;
+}
+
+// weekly config -> array indexed by getUTCDay(): { openMin, closeMin } | null
+function parseWeekly(weekly, base, where) {
+  return WEEKDAYS.map((name, i) => {
+    if (!weekly || !(name in weekly)) return base ? base[i] : null;
+    const span = weekly[name];
+    if (span === null) return null;
+    if (!Array.isArray(span) || span.length !== 2) {
+      throw new Error(`Invalid hours for ${name} (${where}), expected ["HH:MM", "HH:MM"] or null`);
+    }
+    const openMin = parseHHMM(span[0], `${where}.${name}`);
+    const closeMin = parseHHMM(span[1], `${where}.${name}`);
+    if (closeMin <= openMin) throw new Error(`Close before open for ${name} (${where})`);
+    return { openMin, closeMin };
+  });
+}
+
+function readConfig() {
+  if (process.env.BUSINESS_HOURS_JSON) return JSON.parse(process.env.BUSINESS_HOURS_JSON);
+
+  const file =
+    process.env.BUSINESS_HOURS_FILE || path.join(process.cwd(), "config", "business-hours.json");
+  if (fs.existsSync(file)) return JSON.parse(fs.readFileSync(file, "utf8"));
+
+  return DEFAULT_HOURS;
+}
+
+function loadConfig() {
+  if (!_config) _config = readConfig();
+  return _config;
+}
+
+// Resolved opening hours, optionally for a location.
+// Returns { weekly, closedDates: Set, earlyReturnGraceMinutes, location }.
+export function getBusinessHours(location = null) {
+  const key = location || "";
+  if (!_resolved.has(key)) _resolved.set(key, resolveHours(location));
+  return _resolved.get(key);
+}
+
+function resolveHours(location) {
+  const config = loadConfig();
+  const weekly = parseWeekly(config.weekly || DEFAULT_HOURS.weekly, null, "weekly");
+  const closedDates = new Set(config.closedDates || []);
+
+  const override = location ? config.locations?.[location] : null;
+  if (location && !override) {
+    throw new Error(`Unknown location '${location}' in business hours config`);
+  }
+
+  return {
+    weekly: override ? parseWeekly(override.weekly, weekly, `locations.${location}`) : weekly,
+    closedDates: new Set([...closedDates, ...(override?.closedDates || [])]),
+    earlyReturnGraceMinutes: config.earlyReturnGraceMinutes ?? DEFAULT_HOURS.earlyReturnGraceMinutes,
+    location: override ? location : null,
+  };
+}
+
+// ?location=<key> -> { hours } or { error } for an unknown location.
+// A location only in the fleet config (lib/fleetConfig.js) keeps the default hours.
+export function businessHoursFromQuery(query) {
+  const location = String(query.location || "").trim() || null;
+  if (location && !businessLocations().includes(location)) {
+    if (fleetLocations().includes(location)) return { hours: getBusinessHours(null) };
+    return { error: `Unknown location '${location}'` };
+  }
+  return { hours: getBusinessHours(location) };
+}
+
+export function businessLocations() {
+  return Object.keys(loadConfig().locations || {});
+}
+
+function isoDate(y, m, d) {
+  return new Date(Date.UTC(y, m, d)).toISOString().slice(0, 10);
+}
+
+// Opening span for a local calendar day, or null when closed that day.
+function spanForLocalDay(y, m, d, hours) {
+  if (hours.closedDates.has(isoDate(y, m, d))) return null;
+  return hours.weekly[new Date(Date.UTC(y, m, d)).getUTCDay()];
+}
+
+// Opening span { startMs, endMs } (UTC) for a local date "YYYY-MM-DD", or null when closed.
+export function openingSpanForDate(dateStr, timezone, hours) {
+  const [y, m, d] = dateStr.split("-").map(Number);
+  const span = spanForLocalDay(y, m - 1, d, hours);
+  if (!span) return null;
+  return {
+    startMs: zonedTimeToUtcMs(y, m - 1, d, 0, span.openMin, 0, timezone),
+    endMs: zonedTimeToUtcMs(y, m - 1, d, 0, span.closeMin, 0, timezone),
+  };
+}
+
+// Is the business open right now (open <= t < close on an open day)?
+export function isOpenAt(utcMs, timezone, hours) {
+  const local = localParts(utcMs, timezone);
+  const span = spanForLocalDay(local.y, local.m, local.d, hours);
+  if (!span) return false;
+  const minutes = local.hh * 60 + local.mi;
+  return minutes >= span.openMin && minutes < span.closeMin;
+}
+
+// Round returns outside opening hours to the next opening time.
+// Returns within earlyReturnGraceMinutes before opening are left as-is.
+// Closed weekdays and closed dates are skipped, so a Saturday evening return
+// rolls to Monday morning when Sunday is closed.
+export function roundToBusinessHours(utcMs, timezone, hours) {
+  const local = localParts(utcMs, timezone);
+  const minutes = local.hh * 60 + local.mi;
+  const openingOn = (addDays, span) =>
+    zonedTimeToUtcMs(local.y, local.m, local.d + addDays, 0, span.openMin, 0, timezone);
+
+  const today = spanForLocalDay(local.y, local.m, local.d, hours);
+  if (today) {
+    // Within hours, or inside the early-return grace period (e.g. after 08:45 for a 09:00 open)
+    const inGrace = minutes > today.openMin - hours.earlyReturnGraceMinutes;
+    if ((minutes >= today.openMin || inGrace) && minutes < today.closeMin) {
+      return utcMs;
+    }
+    // Early morning: same day opening
+    if (minutes < today.openMin) return openingOn(0, today);
+  }
+
+  // After close or closed today: next open day
+  for (let i = 1; i <= MAX_CLOSED_DAYS_AHEAD; i++) {
+    const span = spanForLocalDay(local.y, local.m, local.d + i, hours);
+    if (span) return openingOn(i, span);
+  }
+
+  // Closed for a month: leave the time alone rather than invent one
+  return utcMs;
+}
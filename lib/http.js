@@ -0,0 +1,68 @@
+// lib/http.js
+//
+// Small response helpers shared by the API routes.
+//
+// Error responses are { error, code } (lib/errors.js): sendJson fills in the
+// code from the status when a route doesn't name one.
+
+import { codeForStatus, describeError } from "./errors.js";
+import { count } from "./metrics.js";
+
+// Shared CDN caching for public responses. Once a route has checked staff
+// credentials (lib/auth.js sets res.staffOnly) only the caller's browser may
+// cache, so the CDN never hands staff data to someone else.
+function setCacheControl(res, cacheSeconds) {
+  if (cacheSeconds <= 0) {
+    res.setHeader("Cache-Control", "no-store");
+  } else if (res.staffOnly) {
+    res.setHeader("Cache-Control", `private, max-age=${cacheSeconds}`);
+  } else {
+    res.setHeader("Cache-Control", `s-maxage=${cacheSeconds}, stale-while-revalidate=60`);
+  }
+}
+
+export function sendJson(res, status, body, cacheSeconds = 0) {
+  if (status >= 400 && body?.error) {
+    body = { ...body, code: body.code || codeForStatus(status) };
+    count(`errors.${body.code}`);
+  }
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json");
+  setCacheControl(res, cacheSeconds);
+  res.end(JSON.stringify(body));
+}
+
+// Error response for anything thrown. Unexpected errors are logged; Booqable
+// and other typed errors already say what went wrong.
+export function sendError(res, e) {
+  const { status, code, message } = describeError(e);
+  if (code === "INTERNAL") console.error(e);
+  return sendJson(res, status, { error: message, code });
+}
+
+export function sendText(res, status, contentType, body, cacheSeconds = 0, headers = {}) {
+  res.statusCode = status;
+  res.setHeader("Content-Type", contentType);
+  setCacheControl(res, cacheSeconds);
+  for (const [k, v] of Object.entries(headers)) res.setHeader(k, v);
+  res.end(body);
+}
+
+// Request body as a Buffer, exactly as sent (needed to verify signatures).
+export async function readRawBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(typeof chunk === "string" ? Buffer.from(chunk) : chunk);
+  return Buffer.concat(chunks);
+}
+
+// JSON or form-encoded request body as an object ({} when empty).
+// Uses the platform-parsed req.body when there is one.
+export async function readBody(req) {
+  if (req.body && typeof req.body === "object" && !Buffer.isBuffer(req.body)) return req.body;
+  const raw = (typeof req.body === "string" ? req.body : (await readRawBody(req)).toString("utf8")).trim();
+  if (!raw) return {};
+  if (/^application\/x-www-form-urlencoded/i.test(req.headers["content-type"] || "")) {
+    return Object.fromEntries(new URLSearchParams(raw));
+  }
+  return JSON.parse(raw);
+}
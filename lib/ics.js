@@ -0,0 +1,202 @@
+// lib/ics.js
+//
+// iCalendar (RFC 5545) output for car bookings.
+//
+// Event times are written in the account's IANA timezone (DTSTART;TZID=...),
+// with a VTIMEZONE built from the actual offset changes in the feed's range so
+// clients without a tz database still place events correctly across DST.
+
+import { localParts, tzOffsetMinutes } from "./time.js";
+
+const PRODID = "-//Bubblegum Cars//Availability//EN";
+
+function escapeText(str) {
+  return String(str ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Fold content lines at 75 octets without splitting UTF-8 characters.
+function fold(line) {
+  if (Buffer.byteLength(line) <= 75) return line;
+  const parts = [];
+  let cur = "";
+  let curLen = 0;
+  for (const ch of line) {
+    const n = Buffer.byteLength(ch);
+    if (curLen + n > 75) {
+      parts.push(cur);
+      cur = " ";
+      curLen = 1;
+    }
+    cur += ch;
+    curLen += n;
+  }
+  parts.push(cur);
+  return parts.join("\r\n");
+}
+
+const pad = (n, w = 2) => String(n).padStart(w, "0");
+
+function fmtUtcStamp(ms) {
+  return new Date(ms).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function fmtLocalStamp(ms, timezone) {
+  const p = localParts(ms, timezone);
+  return `${p.y}${pad(p.m + 1)}${pad(p.d)}T${pad(p.hh)}${pad(p.mi)}${pad(p.ss)}`;
+}
+
+function fmtOffset(minutes) {
+  const sign = minutes < 0 ? "-" : "+";
+  const abs = Math.abs(minutes);
+  return `${sign}${pad(Math.floor(abs / 60))}${pad(abs % 60)}`;
+}
+
+// Offset changes of `timezone` within [fromMs, toMs], to the minute.
+function offsetTransitions(timezone, fromMs, toMs) {
+  const out = [];
+  const STEP = 86400000;
+  let prevMs = fromMs;
+  let prevOff = tzOffsetMinutes(fromMs, timezone);
+  for (let t = fromMs + STEP; t <= toMs + STEP; t += STEP) {
+    const off = tzOffsetMinutes(t, timezone);
+    if (off !== prevOff) {
+      // binary search for the first minute with the new offset
+      let lo = prevMs;
+      let hi = t;
+      while (hi - lo > 60000) {
+        const mid = lo + Math.floor((hi - lo) / 120000) * 60000;
+        if (tzOffsetMinutes(mid, timezone) === prevOff) lo = mid;
+        else hi = mid;
+      }
+      out.push({ atMs: hi, fromOff: prevOff, toOff: off });
+    }
+    prevMs = t;
+    prevOff = off;
+  }
+  return out;
+}
+
+function vtimezone(timezone, fromMs, toMs) {
+  const startOff = tzOffsetMinutes(fromMs, timezone);
+  const transitions = offsetTransitions(timezone, fromMs, toMs);
+  const standardOff = Math.min(startOff, ...transitions.map((t) => t.toOff));
+
+  // Observance in effect at the start of the range, then one per change.
+  // DTSTART is the local time just before the change (in the old offset).
+  const observances = [
+    { startMs: fromMs, fromOff: startOff, toOff: startOff },
+    ...transitions.map((t) => ({ startMs: t.atMs, fromOff: t.fromOff, toOff: t.toOff })),
+  ];
+
+  const lines = ["BEGIN:VTIMEZONE", `TZID:${timezone}`];
+  for (const o of observances) {
+    const kind = o.toOff > standardOff ? "DAYLIGHT" : "STANDARD";
+    const wall = new Date(o.startMs + o.fromOff * 60000);
+    const stamp =
+      `${wall.getUTCFullYear()}${pad(wall.getUTCMonth() + 1)}${pad(wall.getUTCDate())}` +
+      `T${pad(wall.getUTCHours())}${pad(wall.getUTCMinutes())}00`;
+    lines.push(
+      `BEGIN:${kind}`,
+      `DTSTART:${stamp}`,
+      `TZOFFSETFROM:${fmtOffset(o.fromOff)}`,
+      `TZOFFSETTO:${fmtOffset(o.toOff)}`,
+      `END:${kind}`
+    );
+  }
+  lines.push("END:VTIMEZONE");
+  return lines;
+}
+
+// events: [{ uid, startMs, endMs, summary, description?, categories? }]
+export function buildCalendar({ name, timezone, events, rangeStartMs, rangeEndMs }) {
+  const nowStamp = fmtUtcStamp(Date.now());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${timezone}`,
+  ];
+
+  const spanStart = Math.min(rangeStartMs, ...events.map((e) => e.startMs));
+  const spanEnd = Math.max(rangeEndMs, ...events.map((e) => e.endMs));
+  lines.push(...vtimezone(timezone, spanStart, spanEnd));
+
+  for (const e of events) {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${e.uid}`,
+      `DTSTAMP:${nowStamp}`,
+      `DTSTART;TZID=${timezone}:${fmtLocalStamp(e.startMs, timezone)}`,
+      `DTEND;TZID=${timezone}:${fmtLocalStamp(e.endMs, timezone)}`,
+      `SUMMARY:${escapeText(e.summary)}`
+    );
+    if (e.description) lines.push(`DESCRIPTION:${escapeText(e.description)}`);
+    if (e.categories) lines.push(`CATEGORIES:${e.categories.map(escapeText).join(",")}`);
+    lines.push("TRANSP:OPAQUE", "END:VEVENT");
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
+
+// Calendar events for one car's intervals. UIDs are stable per planning so
+// subscribed calendars update events in place instead of duplicating them.
+// With includeBuffers, buffer time before/after each booking becomes its own block.
+// Out-of-service blocks become their own events (UIDs stable per block).
+export function bookingEvents(car, ivals, { company, includeBuffers = false }) {
+  const domain = `${company}.booqable.com`;
+  const events = [];
+  for (const iv of ivals) {
+    if (iv.maintenance) {
+      events.push({
+        uid: `maintenance-${iv.maintenance.id}@${domain}`,
+        startMs: iv.startMs,
+        endMs: iv.endMs,
+        summary: `${car.name}: out of service`,
+        description: iv.maintenance.reason,
+        categories: ["Out of service"],
+      });
+      continue;
+    }
+
+    const order = iv.orderNumber != null ? ` (#${iv.orderNumber})` : "";
+    const pickupMs = iv.startsRaw.getTime();
+    const returnMs = iv.stopsRaw.getTime();
+
+    events.push({
+      uid: `planning-${iv.planningId}@${domain}`,
+      startMs: pickupMs,
+      endMs: returnMs,
+      summary: `${car.name}: booked${order}`,
+      description: `Pickup to return for ${car.name}${order}`,
+      categories: ["Booking"],
+    });
+
+    if (includeBuffers && iv.startMs < pickupMs) {
+      events.push({
+        uid: `planning-${iv.planningId}-buffer-before@${domain}`,
+        startMs: iv.startMs,
+        endMs: pickupMs,
+        summary: `${car.name}: prep before pickup${order}`,
+        categories: ["Buffer"],
+      });
+    }
+    if (includeBuffers && iv.endMs > returnMs) {
+      events.push({
+        uid: `planning-${iv.planningId}-buffer-after@${domain}`,
+        startMs: returnMs,
+        endMs: iv.endMs,
+        summary: `${car.name}: turnaround after return${order}`,
+        categories: ["Buffer"],
+      });
+    }
+  }
+  return events;
+}
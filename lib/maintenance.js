@@ -0,0 +1,185 @@
+// lib/maintenance.js
+//
+// Out-of-service / maintenance blocks (panel beater, service, rego...) kept by
+// the app itself in the shared store (lib/store.js), since Booqable only knows
+// about orders.
+//
+// Block: { id, carId, from, until (UTC ISO), reason, createdAt, updatedAt },
+// one store record per block so concurrent edits of different blocks can't
+// overwrite each other. The key carries the block's time range
+// ("maintenance:block:<id>:<fromMs>:<untilMs>"), so loading a window reads
+// only the blocks overlapping it. A block expires MAINTENANCE_KEEP_DAYS
+// (default 31) after it ends. Changes need a persistent store (NOT_CONFIGURED
+// otherwise): the memory backend would lose them on a cold start.
+//
+// Blocks become intervals alongside bookings (see fetchIntervals in
+// lib/fleet.js) with `maintenance: { id, reason }` set and no buffers, so they
+// count for nextAvailable, tiles, free windows and booking checks.
+
+import crypto from "node:crypto";
+
+import { getMany, getStore, persistentStore } from "./store.js";
+import { parseLocalDateTime } from "./time.js";
+
+const KEY_PREFIX = "maintenance:block:";
+const MAX_REASON_LENGTH = 200;
+const KEEP_DAYS = Number(process.env.MAINTENANCE_KEEP_DAYS) || 31;
+const ID_RE = /^[0-9a-f-]{36}$/i;
+
+function keyFor(block) {
+  return `${KEY_PREFIX}${block.id}:${Date.parse(block.from)}:${Date.parse(block.until)}`;
+}
+
+function rangeOfKey(key) {
+  const [, fromMs, untilMs] = key.slice(KEY_PREFIX.length).split(":");
+  return { fromMs: Number(fromMs), untilMs: Number(untilMs) };
+}
+
+// Blocks overlapping [fromMs, tillMs] (all of them by default).
+async function readBlocks({ fromMs = -Infinity, tillMs = Infinity } = {}) {
+  const store = getStore();
+  const keys = (await store.keys(KEY_PREFIX)).filter((key) => {
+    const range = rangeOfKey(key);
+    return range.fromMs <= tillMs && range.untilMs >= fromMs;
+  });
+  return (await getMany(store, keys)).filter(Boolean);
+}
+
+// Store key of block `id`, or null. Ids are checked first: the kv backend
+// treats glob characters in a keys() prefix as patterns.
+async function findKey(store, id) {
+  if (!ID_RE.test(id)) return null;
+  return (await store.keys(`${KEY_PREFIX}${id}:`))[0] || null;
+}
+
+async function saveBlock(store, block) {
+  const ttlSeconds = Math.ceil((Date.parse(block.until) - Date.now()) / 1000) + KEEP_DAYS * 86400;
+  await store.set(keyFor(block), block, { ttlSeconds: Math.max(1, ttlSeconds) });
+}
+
+function writableStore() {
+  return persistentStore("Maintenance blocks");
+}
+
+// Local "YYYY-MM-DDTHH:MM" in the account timezone, or ISO with Z/offset.
+function parseWhen(value, timezone) {
+  const str = String(value || "").trim();
+  if (/[zZ]$|[+-]\d{2}:?\d{2}$/.test(str)) {
+    const ms = Date.parse(str);
+    return Number.isNaN(ms) ? null : ms;
+  }
+  return parseLocalDateTime(str, timezone)?.getTime() ?? null;
+}
+
+// Validated { from, until, reason } fields from input (partial when patching),
+// or { error }.
+function parseFields(input, timezone, existing = null) {
+  const out = {};
+
+  for (const field of ["from", "until"]) {
+    if (input[field] === undefined) continue;
+    const ms = parseWhen(input[field], timezone);
+    if (ms === null) {
+      return { error: `Invalid ${field} '${input[field]}' (local YYYY-MM-DDTHH:MM or ISO)` };
+    }
+    out[field] = new Date(ms).toISOString();
+  }
+
+  if (input.reason !== undefined) {
+    const reason = String(input.reason || "").trim();
+    if (!reason) return { error: "Reason must not be empty" };
+    if (reason.length > MAX_REASON_LENGTH) {
+      return { error: `Reason too long (max ${MAX_REASON_LENGTH} characters)` };
+    }
+    out.reason = reason;
+  }
+
+  const from = out.from ?? existing?.from;
+  const until = out.until ?? existing?.until;
+  if (!from || !until) return { error: "Missing from/until" };
+  if (Date.parse(until) <= Date.parse(from)) return { error: "'until' must be after 'from'" };
+
+  return { fields: out };
+}
+
+// Blocks sorted by start, optionally for one car.
+export async function listBlocks({ carId = null } = {}) {
+  const blocks = await readBlocks();
+  return blocks
+    .filter((b) => !carId || b.carId === carId)
+    .sort((a, b) => Date.parse(a.from) - Date.parse(b.from));
+}
+
+// input: { from, until, reason }; car is an already-resolved fleet car.
+// Returns { block } or { error }.
+export async function createBlock(car, input, timezone) {
+  if (input.reason === undefined) return { error: "Missing reason" };
+  const { fields, error } = parseFields(input, timezone);
+  if (error) return { error };
+
+  const store = writableStore();
+  const now = new Date().toISOString();
+  const block = { id: crypto.randomUUID(), carId: car.id, ...fields, createdAt: now, updatedAt: now };
+  await saveBlock(store, block);
+  return { block };
+}
+
+// Change from/until/reason (and carId when `car` is given).
+// Returns { block }, { error } or { notFound: true }.
+export async function updateBlock(id, input, timezone, car = null) {
+  const store = writableStore();
+  const key = await findKey(store, id);
+  const existing = key && (await store.get(key));
+  if (!existing) return { notFound: true };
+
+  const { fields, error } = parseFields(input, timezone, existing);
+  if (error) return { error };
+
+  const block = {
+    ...existing,
+    ...fields,
+    ...(car && { carId: car.id }),
+    updatedAt: new Date().toISOString(),
+  };
+  await saveBlock(store, block);
+  // New dates, new key: write it before dropping the old one
+  if (keyFor(block) !== key) await store.delete(key);
+  return { block };
+}
+
+// True if a block was removed.
+export async function deleteBlock(id) {
+  const store = writableStore();
+  const key = await findKey(store, id);
+  if (!key) return false;
+  await store.delete(key);
+  return true;
+}
+
+// Add blocks overlapping [fromMs, tillMs] to intervalsByProduct (cars not in
+// the map are skipped). Returns how many were added.
+export async function addMaintenanceIntervals(intervalsByProduct, { fromMs, tillMs }) {
+  let added = 0;
+  for (const b of await readBlocks({ fromMs, tillMs })) {
+    const arr = intervalsByProduct.get(b.carId);
+    const startMs = Date.parse(b.from);
+    const endMs = Date.parse(b.until);
+    if (!arr || startMs > tillMs || endMs < fromMs) continue;
+
+    arr.push({
+      startMs,
+      endMs,
+      startsRaw: new Date(startMs),
+      stopsRaw: new Date(endMs),
+      planningId: null,
+      orderId: null,
+      orderNumber: null,
+      customerName: null,
+      rentalState: null,
+      overdue: null,
+      maintenance: { id: b.id, reason: b.reason },
+    });
+    added++;
+  }
+  return added;
+}
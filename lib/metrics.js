@@ -0,0 +1,87 @@
+// lib/metrics.js
+//
+// Counters and timings for this instance, reported by /api/metrics.
+//
+// Serverless instances come and go, so the numbers cover one instance since
+// startedAt; a scraper sees a reset (new instanceId) when an instance is
+// replaced. Timings keep the last METRICS_TIMING_SAMPLES (default 200)
+// samples per name for the percentiles; count and total cover everything.
+//
+// Names in use:
+// - upstreamRequests, upstreamRetries429, upstreamTimeouts, upstreamErrors,
+//   upstreamStatus.<HTTP status>                                             (lib/booqable.js)
+// - pagesFetched, pagesFailed, pagesFailed.<CODE>, partialLoads              (lib/booqable.js)
+// - planningsFetched, planningsMappedToCars, planningsDroppedNoRel,
+//   planningsDroppedUnknownCar, planningsCanceled, maintenanceUnavailable    (lib/fleet.js)
+// - cacheHits, cacheMisses, cacheStoreErrors                                 (lib/cache.js)
+// - changeReadsFailed                                                        (lib/changes.js)
+// - snapshotsFailed                                                          (lib/snapshots.js)
+// - digestFailed.<channel>                                                   (api/digest.js)
+// - publicFailed.<CODE>                                                      (api/availability/public.js)
+// - errors.<CODE> for error responses                                        (lib/http.js)
+// - timings: upstreamRequest, handler.<route>                                (withMetrics)
+
+import crypto from "node:crypto";
+
+const TIMING_SAMPLES = Number(process.env.METRICS_TIMING_SAMPLES) || 200;
+
+const instanceId = crypto.randomBytes(4).toString("hex");
+const startedAt = Date.now();
+const counters = new Map();
+const timings = new Map(); // name -> { count, totalMs, maxMs, samples }
+
+export function count(name, by = 1) {
+  if (by) counters.set(name, (counters.get(name) || 0) + by);
+}
+
+export function observe(name, ms) {
+  let t = timings.get(name);
+  if (!t) timings.set(name, (t = { count: 0, totalMs: 0, maxMs: 0, samples: [] }));
+  t.count++;
+  t.totalMs += ms;
+  t.maxMs = Math.max(t.maxMs, ms);
+  t.samples.push(ms);
+  if (t.samples.length > TIMING_SAMPLES) t.samples.shift();
+}
+
+function percentile(sorted, p) {
+  return sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))] : null;
+}
+
+export function metricsSnapshot() {
+  const sortedNames = (map) => [...map.keys()].sort();
+  return {
+    instanceId,
+    startedAt: new Date(startedAt).toISOString(),
+    uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+    counters: Object.fromEntries(sortedNames(counters).map((n) => [n, counters.get(n)])),
+    timings: Object.fromEntries(
+      sortedNames(timings).map((n) => {
+        const t = timings.get(n);
+        const sorted = [...t.samples].sort((a, b) => a - b);
+        return [
+          n,
+          {
+            count: t.count,
+            avgMs: Math.round(t.totalMs / t.count),
+            p50Ms: percentile(sorted, 0.5),
+            p95Ms: percentile(sorted, 0.95),
+            maxMs: t.maxMs,
+          },
+        ];
+      })
+    ),
+  };
+}
+
+// Wraps a route handler to time it as handler.<route>
+export function withMetrics(route, handler) {
+  return async function timedHandler(req, res) {
+    const startMs = Date.now();
+    try {
+      return await handler(req, res);
+    } finally {
+      observe(`handler.${route}`, Date.now() - startMs);
+    }
+  };
+}
@@ -0,0 +1,279 @@
+// lib/reassign.js
+//
+// Which bookings to move to another car to open up rentable time.
+//
+// A booking can move when its order hasn't started: no planning on the order
+// is on rent, overdue or returned, and its pickup is still ahead. It must also
+// be back by horizonEndMs, so plannings need fetching a little past that.
+// Out-of-service blocks never move. A booking fits a car when, with that car's
+// own buffers, its busy time (buffered start to ready again, rounded to
+// business hours) doesn't overlap another booking's - the same rule as
+// checkBooking in lib/availability.js.
+//
+// - planReassignments  repeatedly applies the single move or two-car swap that
+//                      adds the most rentable free time (free windows of at
+//                      least minRentableGapHours before the horizon)
+// - planForRequest     the fewest moves that clear a car for a requested booking
+
+import { freeSpans, freeWindows } from "./availability.js";
+import { roundToBusinessHours } from "./hours.js";
+import { fmtInstant, overlap } from "./time.js";
+
+const MIN_GAIN_HOURS = 1; // smaller gains aren't worth asking a customer to switch cars
+
+function createContext({
+  cars,
+  intervalsByProduct,
+  nowMs,
+  horizonEndMs,
+  interchangeable,
+  minRentableGapHours,
+  timezone,
+  hours,
+}) {
+  const byCar = new Map(cars.map((c) => [c.id, [...(intervalsByProduct.get(c.id) || [])]]));
+
+  // Orders with any car already out (or back): leave the whole order alone
+  const startedOrders = new Set();
+  for (const ivals of intervalsByProduct.values()) {
+    for (const iv of ivals) {
+      const started = iv.overdue || iv.rentalState === "on-rent" || iv.rentalState === "returned";
+      if (started && iv.orderId) startedOrders.add(iv.orderId);
+    }
+  }
+
+  // Both are asked for the same intervals and lists many times over
+  const ready = new WeakMap();
+  const readyMs = (iv) => {
+    if (!ready.has(iv)) ready.set(iv, roundToBusinessHours(iv.endMs, timezone, hours));
+    return ready.get(iv);
+  };
+  const usable = new WeakMap();
+
+  return {
+    cars,
+    byCar,
+    nowMs,
+    horizonEndMs,
+    interchangeable,
+    timezone,
+    hours,
+    minRentableGapHours,
+
+    movable: (iv) =>
+      !iv.maintenance &&
+      !iv.overdue &&
+      !["on-rent", "returned"].includes(iv.rentalState) &&
+      !(iv.orderId && startedOrders.has(iv.orderId)) &&
+      iv.startsRaw.getTime() > nowMs &&
+      iv.stopsRaw.getTime() <= horizonEndMs, // later bookings weren't checked
+
+    // The booking as it would sit on `car` (that car's buffers)
+    placeOn: (iv, car) => ({
+      ...iv,
+      startMs: iv.startsRaw.getTime() - (car.buffer_before_s || 0) * 1000,
+      endMs: iv.stopsRaw.getTime() + (car.buffer_after_s || 0) * 1000,
+    }),
+
+    fits: (iv, ivals) =>
+      ivals.every((other) => !overlap(iv.startMs, readyMs(iv), other.startMs, readyMs(other))),
+
+    // Rentable free hours from now to the horizon (lists aren't changed once built)
+    usableHours: (ivals) => {
+      if (!usable.has(ivals)) {
+        const spans = freeSpans(ivals, nowMs, horizonEndMs, minRentableGapHours, timezone, hours);
+        const ms = spans.reduce(
+          (sum, s) => sum + Math.max(0, Math.min(s.untilMs ?? horizonEndMs, horizonEndMs) - s.fromMs),
+          0
+        );
+        usable.set(ivals, ms / 3600000);
+      }
+      return usable.get(ivals);
+    },
+  };
+}
+
+const sortByStart = (ivals) => ivals.sort((a, b) => a.startMs - b.startMs);
+const round2 = (n) => Math.round(n * 100) / 100;
+
+function carRef(car) {
+  return { id: car.id, name: car.name, slug: car.slug };
+}
+
+// One line per Booqable edit
+function describeMove(iv, from, to, timezone) {
+  const start = fmtInstant(iv.startsRaw.getTime(), timezone);
+  const end = fmtInstant(iv.stopsRaw.getTime(), timezone);
+  const order = iv.orderNumber ? `Order #${iv.orderNumber}` : `Planning ${iv.planningId}`;
+  const who = iv.customerName ? ` (${iv.customerName})` : "";
+  return {
+    planningId: iv.planningId,
+    orderId: iv.orderId,
+    orderNumber: iv.orderNumber,
+    customerName: iv.customerName ?? null,
+    start,
+    end,
+    from: carRef(from),
+    to: carRef(to),
+    instruction: `${order}${who}: change ${from.name} to ${to.name} for ${start.local} – ${end.local}`,
+  };
+}
+
+// Best single move or swap for the current assignment, or null
+function bestStep(ctx, movesLeft) {
+  let best = null;
+  const consider = (delta, step) => {
+    if (delta >= MIN_GAIN_HOURS && (!best || delta > best.delta + 1e-9)) best = { delta, ...step };
+  };
+
+  for (const x of ctx.cars) {
+    const xIvals = ctx.byCar.get(x.id);
+    const xHours = ctx.usableHours(xIvals);
+
+    for (const iv of xIvals.filter(ctx.movable)) {
+      const xWithout = xIvals.filter((o) => o !== iv);
+      const xWithoutHours = ctx.usableHours(xWithout);
+
+      for (const y of ctx.cars) {
+        if (y.id === x.id || !ctx.interchangeable(x, y)) continue;
+        const yIvals = ctx.byCar.get(y.id);
+        const yHours = ctx.usableHours(yIvals);
+        const placed = ctx.placeOn(iv, y);
+
+        if (ctx.fits(placed, yIvals)) {
+          const yAfter = sortByStart([...yIvals, placed]);
+          consider(xWithoutHours + ctx.usableHours(yAfter) - xHours - yHours, {
+            moves: [{ iv, from: x, to: y }],
+            after: [[x, xWithout], [y, yAfter]],
+          });
+          continue;
+        }
+
+        // Swap with a booking on y that's in the way
+        if (movesLeft < 2) continue;
+        for (const jv of yIvals.filter((o) => ctx.movable(o) && !ctx.fits(placed, [o]))) {
+          const yWithout = yIvals.filter((o) => o !== jv);
+          const jPlaced = ctx.placeOn(jv, x);
+          if (!ctx.fits(placed, yWithout) || !ctx.fits(jPlaced, xWithout)) continue;
+          const xAfter = sortByStart([...xWithout, jPlaced]);
+          const yAfter = sortByStart([...yWithout, placed]);
+          consider(ctx.usableHours(xAfter) + ctx.usableHours(yAfter) - xHours - yHours, {
+            moves: [
+              { iv, from: x, to: y },
+              { iv: jv, from: y, to: x },
+            ],
+            after: [[x, xAfter], [y, yAfter]],
+          });
+        }
+      }
+    }
+  }
+  return best;
+}
+
+function totalHours(ctx) {
+  return ctx.cars.reduce((sum, c) => sum + ctx.usableHours(ctx.byCar.get(c.id)), 0);
+}
+
+// Moves that add rentable free time across interchangeable cars.
+// Returns { moves, usableHoursBefore, usableHoursAfter, cars } where cars lists
+// the free windows before and after for every car a move touches.
+export function planReassignments({ maxMoves, ...options }) {
+  const ctx = createContext(options);
+  const before = new Map(ctx.byCar);
+  const usableHoursBefore = totalHours(ctx);
+
+  const moves = [];
+  while (moves.length < maxMoves) {
+    const step = bestStep(ctx, maxMoves - moves.length);
+    if (!step) break;
+    for (const m of step.moves) moves.push(describeMove(m.iv, m.from, m.to, ctx.timezone));
+    for (const [car, ivals] of step.after) ctx.byCar.set(car.id, ivals);
+  }
+
+  return {
+    moves,
+    usableHoursBefore: round2(usableHoursBefore),
+    usableHoursAfter: round2(totalHours(ctx)),
+    cars: touchedCars(ctx, before, moves),
+  };
+}
+
+function touchedCars(ctx, before, moves) {
+  const ids = new Set(moves.flatMap((m) => [m.from.id, m.to.id]));
+  const windows = (ivals) =>
+    freeWindows(ivals, ctx.nowMs, ctx.horizonEndMs, ctx.minRentableGapHours, ctx.timezone, ctx.hours);
+  return ctx.cars
+    .filter((c) => ids.has(c.id))
+    .map((c) => ({
+      car: carRef(c),
+      freeBefore: windows(before.get(c.id)),
+      freeAfter: windows(ctx.byCar.get(c.id)),
+    }));
+}
+
+// Fewest moves that let one car take a booking from reqStartMs to reqEndMs.
+// Returns { fits, car, moves, usableHoursAfter, blockedBy } for the best car;
+// blockedBy explains why each other car couldn't be cleared.
+export function planForRequest({ reqStartMs, reqEndMs, maxMoves, ...options }) {
+  const request = {
+    startsRaw: new Date(reqStartMs),
+    stopsRaw: new Date(reqEndMs),
+    planningId: null,
+  };
+
+  const plans = [];
+  const blockedBy = [];
+  for (const car of options.cars) {
+    const ctx = createContext(options);
+    const placed = ctx.placeOn(request, car);
+    const own = ctx.byCar.get(car.id);
+    const conflicts = own.filter((iv) => !ctx.fits(placed, [iv]));
+
+    const stuck = conflicts.filter((iv) => !ctx.movable(iv));
+    if (stuck.length) {
+      blockedBy.push({
+        car: carRef(car),
+        reason: "booked by an order that can't move",
+        planningIds: stuck.map((iv) => iv.planningId),
+      });
+      continue;
+    }
+    if (conflicts.length > maxMoves) {
+      blockedBy.push({ car: carRef(car), reason: `needs more than ${maxMoves} moves` });
+      continue;
+    }
+
+    // Rehome each conflicting booking where it costs the least rentable time
+    const moves = [];
+    ctx.byCar.set(car.id, own.filter((iv) => !conflicts.includes(iv)));
+    for (const iv of conflicts) {
+      let best = null;
+      for (const y of ctx.cars) {
+        if (y.id === car.id || !ctx.interchangeable(car, y)) continue;
+        const yIvals = ctx.byCar.get(y.id);
+        const moved = ctx.placeOn(iv, y);
+        if (!ctx.fits(moved, yIvals)) continue;
+        const yAfter = sortByStart([...yIvals, moved]);
+        const delta = ctx.usableHours(yAfter) - ctx.usableHours(yIvals);
+        if (!best || delta > best.delta) best = { y, yAfter, delta };
+      }
+      if (!best) break;
+      ctx.byCar.set(best.y.id, best.yAfter);
+      moves.push(describeMove(iv, car, best.y, ctx.timezone));
+    }
+    if (moves.length < conflicts.length) {
+      blockedBy.push({ car: carRef(car), reason: "no other car can take its bookings" });
+      continue;
+    }
+
+    ctx.byCar.set(car.id, sortByStart([...ctx.byCar.get(car.id), placed]));
+    plans.push({ car: carRef(car), moves, usableHoursAfter: round2(totalHours(ctx)) });
+  }
+
+  plans.sort((a, b) => a.moves.length - b.moves.length || b.usableHoursAfter - a.usableHoursAfter);
+  const best = plans[0];
+  return best
+    ? { fits: true, ...best, alternatives: plans.slice(1, 4), blockedBy }
+    : { fits: false, car: null, moves: [], alternatives: [], blockedBy };
+}
@@ -0,0 +1,214 @@
+// lib/snapshots.js
+//
+// Snapshots of every car's bookings and day tiles, and the change feed built
+// from them: bookings that are new, cancelled, moved, extended, shortened,
+// reassigned to another car or changed state (picked up, returned, overdue),
+// and day tiles whose status flipped.
+//
+// A snapshot is taken from fresh, complete staff availability payloads with
+// default settings and the default window (SNAPSHOT_WINDOW: today onwards, as
+// the staff page opens; api/availability.js), at most every
+// SNAPSHOT_MIN_INTERVAL_SECONDS (default 60) unless a change (lib/changes.js)
+// was recorded since the last one. Each is diffed against the one before and
+// only the differences are kept. Stored in the shared store (lib/store.js:
+// memory, file or kv):
+// - snapshots:latest  the last snapshot, to diff the next one against
+// - snapshots:log     [{ id, at, changes }] newest last, at most SNAPSHOT_LOG_MAX
+//                     (default 500) entries from the last SNAPSHOT_KEEP_HOURS (default 48)
+//
+// Only the time range both snapshots covered is compared, so a booking
+// scrolling into or out of the window isn't reported as new or cancelled.
+// Other windows (a past week, a later month) never replace the latest
+// snapshot: the next diff would compare two ranges that don't meet and miss
+// whatever changed in between.
+
+import { latestChange } from "./changes.js";
+import { now } from "./clock.js";
+import { count } from "./metrics.js";
+import { getStore } from "./store.js";
+import { fmtInstant, overlap } from "./time.js";
+import { parseWindowQuery, windowCacheKey } from "./window.js";
+
+const LATEST_KEY = "snapshots:latest";
+const LOG_KEY = "snapshots:log";
+const MIN_INTERVAL_MS = (Number(process.env.SNAPSHOT_MIN_INTERVAL_SECONDS) || 60) * 1000;
+const LOG_MAX = Number(process.env.SNAPSHOT_LOG_MAX) || 500;
+const KEEP_HOURS = Number(process.env.SNAPSHOT_KEEP_HOURS) || 48;
+
+export const SNAPSHOT_WINDOW = parseWindowQuery({});
+
+export function isSnapshotWindow(windowQuery) {
+  return windowCacheKey(windowQuery) === windowCacheKey(SNAPSHOT_WINDOW);
+}
+
+// outCars: [{ id, name, days: [{ date, status }] }] (the availability payload's cars)
+function buildSnapshot({ timezone, days, outCars, intervalsByProduct }) {
+  const cars = {};
+  const bookings = {};
+  for (const car of outCars) {
+    cars[car.id] = {
+      name: car.name,
+      statuses: Object.fromEntries(car.days.map((d) => [d.date, d.status])),
+    };
+    for (const iv of intervalsByProduct.get(car.id) || []) {
+      if (iv.maintenance || !iv.planningId) continue;
+      bookings[iv.planningId] = {
+        carId: car.id,
+        startMs: iv.startsRaw.getTime(),
+        stopMs: iv.stopsRaw.getTime(),
+        orderNumber: iv.orderNumber ?? null,
+        customerName: iv.customerName ?? null,
+        state: iv.overdue ? "overdue" : iv.rentalState,
+      };
+    }
+  }
+  return {
+    timezone,
+    fromMs: days[0].startUtcMs,
+    tillMs: days[days.length - 1].endUtcMs,
+    days: days.map((d) => ({ date: d.date, startUtcMs: d.startUtcMs, endUtcMs: d.endUtcMs })),
+    cars,
+    bookings,
+  };
+}
+
+function uniqueTiles(tiles) {
+  const seen = new Set();
+  return tiles.filter((t) => {
+    const key = `${t.carId}|${t.date}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Changes from prev to cur, per car: booking changes first, then tile flips
+export function diffSnapshots(prev, cur) {
+  const fromMs = Math.max(prev.fromMs, cur.fromMs);
+  const tillMs = Math.min(prev.tillMs, cur.tillMs);
+  if (fromMs >= tillMs) return [];
+
+  const tz = cur.timezone;
+  const inRange = (b) => overlap(b.startMs, b.stopMs, fromMs, tillMs);
+  const carRef = (id) => ({ id, name: cur.cars[id]?.name ?? prev.cars[id]?.name ?? null });
+  const view = (b) =>
+    b ? { start: fmtInstant(b.startMs, tz), stop: fmtInstant(b.stopMs, tz), state: b.state } : null;
+  // Day tiles (in both snapshots) a booking touches
+  const sharedDays = cur.days.filter((d) => prev.days.some((p) => p.date === d.date));
+  const tilesOf = (b) =>
+    b
+      ? sharedDays
+          .filter((d) => overlap(b.startMs, b.stopMs, d.startUtcMs, d.endUtcMs))
+          .map((d) => ({ carId: b.carId, date: d.date }))
+      : [];
+
+  const changes = [];
+  const bookingChange = (kind, id, before, after) => {
+    const b = after || before;
+    changes.push({
+      kind,
+      car: carRef(b.carId),
+      planningId: id,
+      orderNumber: b.orderNumber,
+      customerName: b.customerName,
+      before: view(before),
+      after: view(after),
+      tiles: uniqueTiles([...tilesOf(before), ...tilesOf(after)]),
+    });
+  };
+
+  const ids = new Set([...Object.keys(prev.bookings), ...Object.keys(cur.bookings)]);
+  for (const id of ids) {
+    const a = prev.bookings[id];
+    const b = cur.bookings[id];
+    if (!a) {
+      if (inRange(b)) bookingChange("new", id, null, b);
+      continue;
+    }
+    if (!b) {
+      if (inRange(a)) bookingChange("cancelled", id, a, null);
+      continue;
+    }
+    if (!inRange(a) && !inRange(b)) continue;
+
+    if (a.carId !== b.carId) bookingChange("reassigned", id, a, b);
+    if (a.startMs !== b.startMs) bookingChange("moved", id, a, b);
+    else if (b.stopMs > a.stopMs) bookingChange("extended", id, a, b);
+    else if (b.stopMs < a.stopMs) bookingChange("shortened", id, a, b);
+    if (a.state !== b.state) bookingChange("state", id, a, b);
+  }
+
+  for (const [carId, car] of Object.entries(cur.cars)) {
+    const before = prev.cars[carId]?.statuses;
+    if (!before) continue;
+    for (const d of sharedDays) {
+      const was = before[d.date];
+      const is = car.statuses[d.date];
+      if (was && is && was !== is) {
+        changes.push({
+          kind: "status",
+          car: carRef(carId),
+          date: d.date,
+          before: was,
+          after: is,
+          tiles: [{ carId, date: d.date }],
+        });
+      }
+    }
+  }
+
+  return changes.sort((x, y) => String(x.car.name).localeCompare(String(y.car.name), "en"));
+}
+
+// Store a snapshot and log its changes. force skips the minimum interval.
+// Never throws: the feed is a nice-to-have, availability must not fail on it.
+// Returns { id, at, changes } or null when skipped or failed.
+export async function saveSnapshot(
+  { timezone, days, outCars, intervalsByProduct },
+  { force = false, nowMs = now() } = {}
+) {
+  try {
+    const store = getStore();
+    const prev = await store.get(LATEST_KEY);
+    if (prev && !force && nowMs - prev.at < MIN_INTERVAL_MS) {
+      const { at: changedAt } = await latestChange();
+      if (changedAt <= prev.at) return null;
+    }
+
+    const snapshot = {
+      id: (prev?.id || 0) + 1,
+      at: nowMs,
+      ...buildSnapshot({ timezone, days, outCars, intervalsByProduct }),
+    };
+    const changes = prev ? diffSnapshots(prev, snapshot) : [];
+
+    const ttlSeconds = KEEP_HOURS * 3600;
+    await store.set(LATEST_KEY, snapshot, { ttlSeconds });
+    if (changes.length) {
+      const keepFrom = nowMs - KEEP_HOURS * 3600000;
+      const log = ((await store.get(LOG_KEY)) || []).filter((e) => e.at >= keepFrom);
+      log.push({ id: snapshot.id, at: snapshot.at, changes });
+      await store.set(LOG_KEY, log.slice(-LOG_MAX), { ttlSeconds });
+    }
+    return { id: snapshot.id, at: snapshot.at, changes };
+  } catch (e) {
+    count("snapshotsFailed");
+    return null;
+  }
+}
+
+// Changes after a snapshot id, or after a time (ms), newest first.
+// Returns { latest: { id, at } | null, changes: [{ snapshotId, at, ...change }] }.
+export async function changesSince({ snapshotId = null, sinceMs = 0, limit = 100 }) {
+  const store = getStore();
+  const latest = await store.get(LATEST_KEY);
+  const log = (await store.get(LOG_KEY)) || [];
+
+  const entries = log.filter((e) => (snapshotId !== null ? e.id > snapshotId : e.at > sinceMs));
+  const changes = entries
+    .reverse()
+    .flatMap((e) => e.changes.map((c) => ({ snapshotId: e.id, at: e.at, ...c })))
+    .slice(0, limit);
+
+  return { latest: latest ? { id: latest.id, at: latest.at } : null, changes };
+}
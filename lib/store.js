@@ -0,0 +1,194 @@
+// lib/store.js
+//
+// Pluggable key-value store (JSON values) shared by the cache and app data.
+//
+// Backend from env STORE_BACKEND (default: kv when KV_REST_API_URL is set,
+// file when STORE_DIR is set, else memory):
+// - memory  per-instance Map (lost on cold start)
+// - file    one JSON file per key under STORE_DIR (default: <tmpdir>/bubblegum-store)
+// - kv      Redis-style REST API (Vercel KV / Upstash): KV_REST_API_URL + KV_REST_API_TOKEN.
+//           Anything speaking GET /get/<key>, POST /set/<key>[?EX=s], POST /del/<key>
+//           works, so a local stand-in server can serve it in development.
+//
+// store.get(key) -> value | null
+// store.set(key, value, { ttlSeconds }) -> void
+// store.delete(key) -> void
+// store.keys(prefix) -> keys starting with prefix (kv: GET /keys/<prefix>*)
+// store.persistent -> false for memory, and for file without STORE_DIR (tmpdir)
+//
+// App data that must survive a cold start goes through persistentStore();
+// getMany() reads a list of keys a few at a time.
+
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+import { ApiError } from "./errors.js";
+
+const MEMORY_MAX_ENTRIES = 200;
+const READ_CONCURRENCY = 8;
+
+export function createMemoryStore() {
+  const map = new Map(); // key -> { value, expiresAt }
+  return {
+    kind: "memory",
+    async get(key) {
+      const hit = map.get(key);
+      if (!hit) return null;
+      if (hit.expiresAt && hit.expiresAt <= Date.now()) {
+        map.delete(key);
+        return null;
+      }
+      return hit.value;
+    },
+    async set(key, value, { ttlSeconds } = {}) {
+      map.delete(key);
+      map.set(key, { value, expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : 0 });
+      if (map.size > MEMORY_MAX_ENTRIES) {
+        // Map keeps insertion order: drop the oldest key
+        map.delete(map.keys().next().value);
+      }
+    },
+    async delete(key) {
+      map.delete(key);
+    },
+    async keys(prefix) {
+      const nowMs = Date.now();
+      return [...map.entries()]
+        .filter(([key, hit]) => key.startsWith(prefix) && !(hit.expiresAt && hit.expiresAt <= nowMs))
+        .map(([key]) => key);
+    },
+  };
+}
+
+export function createFileStore(dir) {
+  const fileFor = (key) => path.join(dir, `${encodeURIComponent(key)}.json`);
+  const store = {
+    kind: "file",
+    async get(key) {
+      try {
+        const { value, expiresAt } = JSON.parse(await fs.readFile(fileFor(key), "utf8"));
+        if (expiresAt && expiresAt <= Date.now()) return null;
+        return value;
+      } catch (e) {
+        if (e.code === "ENOENT") return null;
+        throw e;
+      }
+    },
+    async set(key, value, { ttlSeconds } = {}) {
+      await fs.mkdir(dir, { recursive: true });
+      const file = fileFor(key);
+      const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+      const expiresAt = ttlSeconds ? Date.now() + ttlSeconds * 1000 : 0;
+      await fs.writeFile(tmp, JSON.stringify({ value, expiresAt }));
+      await fs.rename(tmp, file); // atomic replace
+    },
+    async delete(key) {
+      await fs.rm(fileFor(key), { force: true });
+    },
+    async keys(prefix) {
+      let names;
+      try {
+        names = await fs.readdir(dir);
+      } catch (e) {
+        if (e.code === "ENOENT") return [];
+        throw e;
+      }
+      const keys = names
+        .filter((n) => n.endsWith(".json"))
+        .map((n) => decodeURIComponent(n.slice(0, -".json".length)))
+        .filter((key) => key.startsWith(prefix));
+      // Expired files stay until overwritten: skip them like get() does
+      const values = await getMany(store, keys);
+      return keys.filter((key, i) => values[i] !== null);
+    },
+  };
+  return store;
+}
+
+export function createKvStore({ url, token }) {
+  const base = url.replace(/\/+$/, "");
+  async function call(method, pathPart, body) {
+    const r = await fetch(`${base}${pathPart}`, {
+      method,
+      headers: { Authorization: `Bearer ${token}` },
+      body,
+    });
+    if (!r.ok) {
+      throw new Error(`KV store error ${r.status} for ${pathPart.split("?")[0]}`);
+    }
+    return r.json();
+  }
+  return {
+    kind: "kv",
+    async get(key) {
+      const out = await call("GET", `/get/${encodeURIComponent(key)}`);
+      return out?.result == null ? null : JSON.parse(out.result);
+    },
+    async set(key, value, { ttlSeconds } = {}) {
+      const ex = ttlSeconds ? `?EX=${Math.ceil(ttlSeconds)}` : "";
+      await call("POST", `/set/${encodeURIComponent(key)}${ex}`, JSON.stringify(value));
+    },
+    async delete(key) {
+      await call("POST", `/del/${encodeURIComponent(key)}`);
+    },
+    async keys(prefix) {
+      const out = await call("GET", `/keys/${encodeURIComponent(prefix)}*`);
+      return out?.result || [];
+    },
+  };
+}
+
+function createStoreFromEnv() {
+  const backend =
+    process.env.STORE_BACKEND ||
+    (process.env.KV_REST_API_URL ? "kv" : process.env.STORE_DIR ? "file" : "memory");
+
+  if (backend === "memory") return { ...createMemoryStore(), persistent: false };
+  if (backend === "file") {
+    const dir = process.env.STORE_DIR;
+    return { ...createFileStore(dir || path.join(os.tmpdir(), "bubblegum-store")), persistent: Boolean(dir) };
+  }
+  if (backend === "kv") {
+    const url = process.env.KV_REST_API_URL;
+    const token = process.env.KV_REST_API_TOKEN;
+    if (!url || !token) throw new Error("STORE_BACKEND=kv needs KV_REST_API_URL and KV_REST_API_TOKEN");
+    return { ...createKvStore({ url, token }), persistent: true };
+  }
+  throw new Error(`Unknown STORE_BACKEND '${backend}' (expected memory, file or kv)`);
+}
+
+let _store = null;
+
+// Shared store for this instance (module-level, like the old in-memory cache).
+export function getStore() {
+  if (!_store) _store = createStoreFromEnv();
+  return _store;
+}
+
+// The shared store, or NOT_CONFIGURED when it would lose `what` on a cold start.
+export function persistentStore(what) {
+  const store = getStore();
+  if (!store.persistent) {
+    throw new ApiError(
+      "NOT_CONFIGURED",
+      `${what} need a persistent store: set KV_REST_API_URL and KV_REST_API_TOKEN (or STORE_DIR)`
+    );
+  }
+  return store;
+}
+
+// Values for keys, in order (null where missing), at most READ_CONCURRENCY
+// reads in flight.
+export async function getMany(store, keys) {
+  const values = new Array(keys.length).fill(null);
+  let next = 0;
+  const worker = async () => {
+    while (next < keys.length) {
+      const i = next++;
+      values[i] = await store.get(keys[i]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(READ_CONCURRENCY, keys.length) }, worker));
+  return values;
+}
@@ -0,0 +1,187 @@
+// lib/time.js
+//
+// Local-time helpers for the Booqable account timezone.
+//
+// Booqable reports both an IANA `timezone` and a fixed `timezone_offset` in
+// minutes. The fixed offset is only right for half the year in zones with
+// daylight saving, so all local wall-clock arithmetic here derives the offset
+// per instant from the IANA zone instead.
+
+const _partsFormatters = new Map(); // timezone -> Intl.DateTimeFormat
+
+function partsFormatter(timezone) {
+  if (!_partsFormatters.has(timezone)) {
+    _partsFormatters.set(
+      timezone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone: timezone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+        weekday: "short",
+      })
+    );
+  }
+  return _partsFormatters.get(timezone);
+}
+
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Local wall-clock fields of a UTC instant in `timezone`.
+// Returns { y, m (0-based), d, hh, mi, ss, weekday (0 = Sunday) }.
+export function localParts(utcMs, timezone) {
+  const out = {};
+  for (const p of partsFormatter(timezone).formatToParts(new Date(utcMs))) {
+    out[p.type] = p.value;
+  }
+  return {
+    y: Number(out.year),
+    m: Number(out.month) - 1,
+    d: Number(out.day),
+    hh: Number(out.hour),
+    mi: Number(out.minute),
+    ss: Number(out.second),
+    weekday: WEEKDAY_INDEX[out.weekday],
+  };
+}
+
+// Offset of `timezone` from UTC in minutes at a given instant (e.g. 600 for AEST, 660 for AEDT).
+export function tzOffsetMinutes(utcMs, timezone) {
+  const p = localParts(utcMs, timezone);
+  const wallAsUtc = Date.UTC(p.y, p.m, p.d, p.hh, p.mi, p.ss);
+  return Math.round((wallAsUtc - Math.floor(utcMs / 1000) * 1000) / 60000);
+}
+
+// UTC ms for a local wall-clock time in `timezone`. Fields may overflow
+// (d + 1, hh 24, ...) like Date.UTC.
+// - Times skipped by a spring-forward change resolve forward (02:30 -> 03:30).
+// - Times repeated by a fall-back change resolve to the first occurrence.
+export function zonedTimeToUtcMs(y, m, d, hh, mi, ss, timezone) {
+  const wallAsUtc = Date.UTC(y, m, d, hh, mi, ss);
+
+  // The offset either side of the wall time covers any single transition
+  const offsets = [
+    tzOffsetMinutes(wallAsUtc - 12 * 3600000, timezone),
+    tzOffsetMinutes(wallAsUtc + 12 * 3600000, timezone),
+  ];
+
+  const valid = offsets
+    .map((o) => wallAsUtc - o * 60000)
+    .filter((utcMs) => tzOffsetMinutes(utcMs, timezone) * 60000 === wallAsUtc - utcMs);
+  if (valid.length) return Math.min(...valid);
+
+  // In the gap: use the pre-transition (smaller) offset, which lands after the jump
+  return wallAsUtc - Math.min(...offsets) * 60000;
+}
+
+// Parse Booqable datetime strings.
+// IMPORTANT: Booqable sends times with "+00:00" that are actually LOCAL times,
+// not UTC times. We must treat ALL timestamps as naive local times.
+export function parseBooqableDate(str, timezone) {
+  if (!str) return null;
+
+  // Strip any offset markers (+00:00, Z, etc) - Booqable times are always local
+  const naive = str.replace(/([zZ]|[+\-]\d{2}:\d{2})$/, "");
+  
+  // Read the wall-clock fields, then resolve them in the account timezone
+  const assumedUtc = new Date(naive + "Z");
+  if (isNaN(assumedUtc.getTime())) return null;
+  return new Date(
+    zonedTimeToUtcMs(
+      assumedUtc.getUTCFullYear(),
+      assumedUtc.getUTCMonth(),
+      assumedUtc.getUTCDate(),
+      assumedUtc.getUTCHours(),
+      assumedUtc.getUTCMinutes(),
+      assumedUtc.getUTCSeconds(),
+      timezone
+    )
+  );
+}
+
+// Parse a local datetime from a query string ("YYYY-MM-DD", "YYYY-MM-DDTHH:MM"
+// or "YYYY-MM-DD HH:MM[:SS]") into a UTC Date. Date-only means local midnight.
+export function parseLocalDateTime(str, timezone) {
+  const match = /^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/.exec(
+    (str || "").trim()
+  );
+  if (!match) return null;
+  if (!parseISODateParts(match[1])) return null;
+
+  const hh = match[2] || "00";
+  const mm = match[3] || "00";
+  const ss = match[4] || "00";
+  if (Number(hh) > 23 || Number(mm) > 59 || Number(ss) > 59) return null;
+
+  return parseBooqableDate(`${match[1]}T${hh}:${mm}:${ss}`, timezone);
+}
+
+export function overlap(aStart, aEnd, bStart, bEnd) {
+  return aStart < bEnd && bStart < aEnd;
+}
+
+// UTC ms of local midnight `addDays` days after the local date of baseUtcMs.
+// Consecutive midnights are 23 or 25 hours apart across DST changes.
+export function localMidnightUtcMs(baseUtcMs, timezone, addDays) {
+  const { y, m, d } = localParts(baseUtcMs, timezone);
+  return zonedTimeToUtcMs(y, m, d + addDays, 0, 0, 0, timezone);
+}
+
+// Parse "YYYY-MM-DD" into { y, m, d } (m is 0-based). Rejects impossible dates.
+export function parseISODateParts(str) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(str || "");
+  if (!match) return null;
+
+  const y = Number(match[1]);
+  const m = Number(match[2]) - 1;
+  const d = Number(match[3]);
+  const check = new Date(Date.UTC(y, m, d));
+  if (check.getUTCMonth() !== m || check.getUTCDate() !== d) return null;
+  return { y, m, d };
+}
+
+// Local calendar date (y/m/d) of a UTC instant.
+export function localDateParts(utcMs, timezone) {
+  const { y, m, d } = localParts(utcMs, timezone);
+  return { y, m, d };
+}
+
+export function daysBetween(a, b) {
+  return Math.round((Date.UTC(b.y, b.m, b.d) - Date.UTC(a.y, a.m, a.d)) / 86400000);
+}
+
+export function fmtDayLabel(dateObj, timezone) {
+  return new Intl.DateTimeFormat("en-AU", {
+    timeZone: timezone,
+    weekday: "short",
+    day: "2-digit",
+    month: "short",
+  }).format(dateObj);
+}
+
+export function fmtISODate(dateObj, timezone) {
+  return new Intl.DateTimeFormat("en-CA", { timeZone: timezone }).format(dateObj);
+}
+
+export function fmtTime(dateObj, timezone) {
+  return new Intl.DateTimeFormat("en-AU", {
+    timeZone: timezone,
+    hour: "2-digit",
+    minute: "2-digit",
+    hour12: false,
+  }).format(dateObj);
+}
+
+export function fmtNextAvailable(dateObj, timezone) {
+  return `${fmtDayLabel(dateObj, timezone)} ${fmtTime(dateObj, timezone)}`;
+}
+
+// Instant for API output: UTC ISO plus a local label in the account timezone.
+export function fmtInstant(ms, timezone) {
+  const d = new Date(ms);
+  return { iso: d.toISOString(), local: fmtNextAvailable(d, timezone) };
+}
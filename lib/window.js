@@ -0,0 +1,85 @@
+// lib/window.js
+//
+// Date window (list of local days) requested via the query string.
+
+import {
+  daysBetween,
+  fmtDayLabel,
+  fmtISODate,
+  localDateParts,
+  localMidnightUtcMs,
+  parseISODateParts,
+} from "./time.js";
+
+export const RANGE_DAYS = 4; // default window when no from/to/days given
+export const MAX_RANGE_DAYS = 31;
+
+// Requested window from the query string:
+// - from/to are inclusive local dates
+// - start (alias of from) + days
+// - days alone starts today
+// Returns { from: {y,m,d} | null, days } or { error }.
+// Routes may also build { from: null, offsetDays, days } to start relative to today.
+export function parseWindowQuery(query, { maxDays = MAX_RANGE_DAYS } = {}) {
+  const fromStr = query.from || query.start || "";
+  const toStr = query.to || "";
+  const daysStr = query.days || "";
+
+  if (toStr && daysStr) return { error: "Use either 'to' or 'days', not both" };
+  if (toStr && !fromStr) return { error: "'to' requires 'from'" };
+
+  const from = fromStr ? parseISODateParts(fromStr) : null;
+  if (fromStr && !from) return { error: `Invalid from date '${fromStr}' (expected YYYY-MM-DD)` };
+
+  let days = RANGE_DAYS;
+  if (toStr) {
+    const to = parseISODateParts(toStr);
+    if (!to) return { error: `Invalid to date '${toStr}' (expected YYYY-MM-DD)` };
+    days = daysBetween(from, to) + 1;
+    if (days < 1) return { error: "'to' must not be before 'from'" };
+  } else if (daysStr) {
+    days = Number(daysStr);
+    if (!Number.isInteger(days) || days < 1) {
+      return { error: `Invalid days '${daysStr}' (expected a positive whole number)` };
+    }
+  }
+
+  if (days > maxDays) {
+    return { error: `Window too long: ${days} days (max ${maxDays})` };
+  }
+
+  return { from, days };
+}
+
+// True when the query names no window at all (so a route may pick its own default).
+export function hasWindowParams(query) {
+  return Boolean(query.from || query.start || query.to || query.days);
+}
+
+export function windowCacheKey(windowQuery) {
+  const w = windowQuery.from
+    ? `${windowQuery.from.y}-${windowQuery.from.m + 1}-${windowQuery.from.d}`
+    : `today${windowQuery.offsetDays || ""}`;
+  return `${w}|${windowQuery.days}`;
+}
+
+// Day windows (local midnights) for a parsed window query.
+// Days are midnight to midnight in the account timezone (23/25 hours across DST changes).
+export function buildDays(windowQuery, baseUtcMs, timezone) {
+  const firstDayOffset = windowQuery.from
+    ? daysBetween(localDateParts(baseUtcMs, timezone), windowQuery.from)
+    : windowQuery.offsetDays || 0;
+  const days = [];
+  for (let i = firstDayOffset; i < firstDayOffset + windowQuery.days; i++) {
+    const startUtcMs = localMidnightUtcMs(baseUtcMs, timezone, i);
+    const endUtcMs = localMidnightUtcMs(baseUtcMs, timezone, i + 1);
+    const dateObj = new Date(startUtcMs);
+    days.push({
+      startUtcMs,
+      endUtcMs,
+      label: fmtDayLabel(dateObj, timezone),
+      date: fmtISODate(dateObj, timezone),
+    });
+  }
+  return days;
+}
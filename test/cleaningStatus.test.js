@@ -0,0 +1,67 @@
+// test/cleaningStatus.test.js
+//
+// Cleaning marks and their history in a file store (lib/store.js) under a
+// temporary STORE_DIR. Run with `node --test`.
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, test } from "node:test";
+
+import { cleaningHistory, getStatuses, setStatus } from "../lib/cleaningStatus.js";
+import { getStore } from "../lib/store.js";
+
+let dir;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "cleaning-test-"));
+  process.env.STORE_BACKEND = "file";
+  process.env.STORE_DIR = dir;
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function mark(planningId, status, at) {
+  const returnAt = "2026-10-18T23:00:00.000Z";
+  return setStatus({ planningId, carId: "prod-mini", status, by: "Sam", returnAt }, Date.parse(at));
+}
+
+test("a date range reads only the history of its days", async () => {
+  await mark("pl-1", "ready", "2026-10-19T01:00:00.000Z");
+  await mark("pl-1", "cleaned", "2026-10-19T02:00:00.000Z");
+  await mark("pl-2", "ready", "2026-10-21T01:00:00.000Z");
+  await mark("pl-2", "cleaned", "2026-10-22T01:30:00.000Z");
+
+  const store = getStore();
+  const read = [];
+  const get = store.get;
+  store.get = (key) => {
+    read.push(key);
+    return get(key);
+  };
+  try {
+    const history = await cleaningHistory({
+      fromMs: Date.parse("2026-10-19T00:00:00.000Z"),
+      tillMs: Date.parse("2026-10-20T00:00:00.000Z"),
+    });
+    assert.deepEqual(
+      history.entries.map((e) => [e.planningId, e.status]),
+      [["pl-1", "cleaned"], ["pl-1", "ready"]]
+    );
+    assert.deepEqual(history.byCleaner, [
+      { cleaner: "Sam", cleaned: 1, avgMinutesReturnToCleaned: 180, avgMinutesReadyToCleaned: 60 },
+    ]);
+    assert.ok(read.every((key) => key.startsWith("cleaning:history:2026-10-19:")), read.join(", "));
+  } finally {
+    store.get = get;
+  }
+
+  // Marks on different days still pair up over a longer range
+  const all = await cleaningHistory();
+  assert.deepEqual(
+    all.byCar.map((g) => [g.carId, g.cleaned, g.avgMinutesReadyToCleaned]),
+    [["prod-mini", 2, 765]]
+  );
+  assert.deepEqual(Object.keys(await getStatuses()).sort(), ["pl-1", "pl-2"]);
+});
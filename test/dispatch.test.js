@@ -0,0 +1,72 @@
+// test/dispatch.test.js
+//
+// Run-sheet rows for hand-built intervals on Monday 19 Oct 2026 (AEDT).
+// Run with `node --test`.
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { dispatchBoard } from "../lib/dispatch.js";
+import { buildDays } from "../lib/window.js";
+
+const TZ = "Australia/Sydney";
+const NOW_MS = Date.parse("2026-10-19T09:30:00+11:00");
+const CAR = { id: "prod-jeep", name: "Jeep Wrangler", slug: "jeep" };
+
+function booking(planningId, starts, stops, extra = {}) {
+  const startsRaw = new Date(starts);
+  const stopsRaw = new Date(stops);
+  return {
+    startMs: startsRaw.getTime(),
+    endMs: stopsRaw.getTime(),
+    startsRaw,
+    stopsRaw,
+    planningId,
+    orderNumber: null,
+    customerName: null,
+    rentalState: "reserved",
+    overdue: null,
+    ...extra,
+  };
+}
+
+function board(dayOffset) {
+  const intervalsByProduct = new Map([
+    [
+      CAR.id,
+      [
+        booking("pl-late", "2026-10-15T09:00:00+11:00", "2026-10-18T17:00:00+11:00", {
+          rentalState: "on-rent",
+          overdue: { minutesLate: 990 },
+        }),
+        booking("pl-next", "2026-10-19T14:00:00+11:00", "2026-10-21T10:00:00+11:00"),
+      ],
+    ],
+  ]);
+  const [day] = buildDays({ from: null, offsetDays: dayOffset, days: 1 }, NOW_MS, TZ);
+  return dispatchBoard({
+    cars: [CAR],
+    intervalsByProduct,
+    day,
+    timezone: TZ,
+    tightGapMinutes: 60,
+    nowMs: NOW_MS,
+  });
+}
+
+test("today lists returns still out from earlier days first, on their own", () => {
+  const { rows, counts } = board(0);
+  assert.deepEqual(
+    rows.map((r) => [r.kind, r.planningId, r.carriedOver, r.overdue]),
+    [
+      ["return", "pl-late", true, { minutesLate: 990 }],
+      ["pickup", "pl-next", false, null],
+    ]
+  );
+  assert.deepEqual(counts, { pickups: 1, returns: 1, swaps: 0, tight: 0, carriedOver: 1 });
+});
+
+test("other days don't carry overdue returns", () => {
+  const { rows } = board(1);
+  assert.deepEqual(rows, []);
+});
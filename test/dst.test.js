@@ -0,0 +1,105 @@
+// test/dst.test.js
+//
+// Australia/Sydney daylight-saving changes (run with `node --test`):
+// - 2026-04-05 03:00 AEDT -> 02:00 AEST (25-hour day, 02:00-03:00 happens twice)
+// - 2026-10-04 02:00 AEST -> 03:00 AEDT (23-hour day, 02:00-03:00 never happens)
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import { getBusinessHours, roundToBusinessHours } from "../lib/hours.js";
+import { parseLocalDateTime, zonedTimeToUtcMs } from "../lib/time.js";
+import { buildDays } from "../lib/window.js";
+
+const TZ = "Australia/Sydney";
+const HOURS = getBusinessHours(null); // config/business-hours.json: 09:00-18:00 every day
+const utc = (iso) => Date.parse(iso);
+const iso = (ms) => new Date(ms).toISOString();
+
+describe("day lengths", () => {
+  const dayOf = (date) =>
+    buildDays({ from: null, days: 1 }, utc(`${date}T02:00:00Z`), TZ).find((d) => d.date === date);
+
+  test("2026-04-05 is 25 hours", () => {
+    const day = dayOf("2026-04-05");
+    assert.equal(iso(day.startUtcMs), "2026-04-04T13:00:00.000Z");
+    assert.equal(iso(day.endUtcMs), "2026-04-05T14:00:00.000Z");
+    assert.equal(day.endUtcMs - day.startUtcMs, 25 * 3600000);
+  });
+
+  test("2026-10-04 is 23 hours", () => {
+    const day = dayOf("2026-10-04");
+    assert.equal(iso(day.startUtcMs), "2026-10-03T14:00:00.000Z");
+    assert.equal(iso(day.endUtcMs), "2026-10-04T13:00:00.000Z");
+    assert.equal(day.endUtcMs - day.startUtcMs, 23 * 3600000);
+  });
+
+  test("a window across both changes has consecutive midnights", () => {
+    const days = buildDays({ from: { y: 2026, m: 3, d: 4 }, days: 3 }, utc("2026-04-04T01:00:00Z"), TZ);
+    assert.deepEqual(
+      days.map((d) => d.date),
+      ["2026-04-04", "2026-04-05", "2026-04-06"]
+    );
+    for (let i = 1; i < days.length; i++) assert.equal(days[i].startUtcMs, days[i - 1].endUtcMs);
+  });
+});
+
+describe("local times around the change", () => {
+  test("a time in the skipped hour resolves forward", () => {
+    // 02:30 doesn't exist on 2026-10-04: it becomes 03:30 AEDT
+    assert.equal(iso(zonedTimeToUtcMs(2026, 9, 4, 2, 30, 0, TZ)), "2026-10-03T16:30:00.000Z");
+    assert.equal(iso(parseLocalDateTime("2026-10-04T02:30", TZ).getTime()), "2026-10-03T16:30:00.000Z");
+  });
+
+  test("a time in the repeated hour resolves to its first occurrence", () => {
+    // 02:30 happens twice on 2026-04-05: the AEDT one (+11:00) comes first
+    assert.equal(iso(zonedTimeToUtcMs(2026, 3, 5, 2, 30, 0, TZ)), "2026-04-04T15:30:00.000Z");
+    assert.equal(iso(parseLocalDateTime("2026-04-05T02:30", TZ).getTime()), "2026-04-04T15:30:00.000Z");
+  });
+
+  test("times either side of the change keep their own offset", () => {
+    assert.equal(iso(zonedTimeToUtcMs(2026, 3, 5, 1, 0, 0, TZ)), "2026-04-04T14:00:00.000Z"); // AEDT
+    assert.equal(iso(zonedTimeToUtcMs(2026, 3, 5, 4, 0, 0, TZ)), "2026-04-04T18:00:00.000Z"); // AEST
+    assert.equal(iso(zonedTimeToUtcMs(2026, 9, 4, 1, 0, 0, TZ)), "2026-10-03T15:00:00.000Z"); // AEST
+    assert.equal(iso(zonedTimeToUtcMs(2026, 9, 4, 4, 0, 0, TZ)), "2026-10-03T17:00:00.000Z"); // AEDT
+  });
+});
+
+describe("rounding to opening time across the change", () => {
+  test("an evening return before the April change rolls to 09:00 AEST", () => {
+    // Sat 4 Apr 20:00 AEDT -> Sun 5 Apr 09:00 AEST
+    assert.equal(
+      iso(roundToBusinessHours(utc("2026-04-04T09:00:00Z"), TZ, HOURS)),
+      "2026-04-04T23:00:00.000Z"
+    );
+  });
+
+  test("an evening return before the October change rolls to 09:00 AEDT", () => {
+    // Sat 3 Oct 20:00 AEST -> Sun 4 Oct 09:00 AEDT
+    assert.equal(
+      iso(roundToBusinessHours(utc("2026-10-03T10:00:00Z"), TZ, HOURS)),
+      "2026-10-03T22:00:00.000Z"
+    );
+  });
+
+  test("a return in the repeated hour rounds to 09:00 the same day", () => {
+    // 02:30 AEST (the second 02:30) on 5 Apr
+    assert.equal(
+      iso(roundToBusinessHours(utc("2026-04-04T16:30:00Z"), TZ, HOURS)),
+      "2026-04-04T23:00:00.000Z"
+    );
+  });
+
+  test("a return just after the skipped hour rounds to 09:00 the same day", () => {
+    // 03:30 AEDT on 4 Oct
+    assert.equal(
+      iso(roundToBusinessHours(utc("2026-10-03T16:30:00Z"), TZ, HOURS)),
+      "2026-10-03T22:00:00.000Z"
+    );
+  });
+
+  test("returns within opening hours are left alone", () => {
+    const ms = utc("2026-10-04T01:00:00Z"); // 12:00 AEDT
+    assert.equal(roundToBusinessHours(ms, TZ, HOURS), ms);
+  });
+});
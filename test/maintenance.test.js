@@ -0,0 +1,72 @@
+// test/maintenance.test.js
+//
+// Maintenance blocks in a file store (lib/store.js) under a temporary
+// STORE_DIR. Run with `node --test`.
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, test } from "node:test";
+
+import {
+  addMaintenanceIntervals,
+  createBlock,
+  deleteBlock,
+  listBlocks,
+  updateBlock,
+} from "../lib/maintenance.js";
+import { getStore } from "../lib/store.js";
+
+const TZ = "Australia/Sydney";
+const CAR = { id: "prod-mini" };
+
+let dir;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "maintenance-test-"));
+  process.env.STORE_BACKEND = "file";
+  process.env.STORE_DIR = dir;
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("loading a window reads only the blocks overlapping it", async () => {
+  const block = (from, until, reason) => createBlock(CAR, { from, until, reason }, TZ);
+  const { block: oct } = await block("2026-10-20T09:00", "2026-10-21T17:00", "Service");
+  await block("2026-12-01T09:00", "2026-12-02T17:00", "Rego");
+
+  const store = getStore();
+  const read = [];
+  const get = store.get;
+  store.get = (key) => {
+    read.push(key);
+    return get(key);
+  };
+  try {
+    const intervals = new Map([[CAR.id, []]]);
+    const added = await addMaintenanceIntervals(intervals, {
+      fromMs: Date.parse("2026-10-19T00:00:00+11:00"),
+      tillMs: Date.parse("2026-10-22T00:00:00+11:00"),
+    });
+    assert.equal(added, 1);
+    assert.equal(intervals.get(CAR.id)[0].maintenance.id, oct.id);
+    assert.equal(read.length, 1);
+  } finally {
+    store.get = get;
+  }
+});
+
+test("moving a block keeps one record under its new range", async () => {
+  const input = { from: "2026-11-02T09:00", until: "2026-11-02T12:00", reason: "Tyres" };
+  const { block } = await createBlock(CAR, input, TZ);
+  const { block: moved } = await updateBlock(block.id, { until: "2026-11-03T12:00" }, TZ);
+  assert.equal(moved.until, "2026-11-03T01:00:00.000Z");
+
+  const found = (await listBlocks()).filter((b) => b.id === block.id);
+  assert.deepEqual(found, [moved]);
+
+  assert.equal(await deleteBlock(block.id), true);
+  assert.equal(await deleteBlock(block.id), false);
+  assert.equal(await deleteBlock("*"), false);
+});
@@ -0,0 +1,194 @@
+// test/scenarios.test.js
+//
+// Replays the hand-written fixtures in fixtures/scenarios (lib/fixtures.js)
+// with the clock pinned to each one's recordedAt (Monday 19 Oct 2026 09:30
+// AEDT), over a 3-day window with the default settings. Run with `node --test`.
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { after, before, describe, test } from "node:test";
+import { fileURLToPath } from "node:url";
+
+import { buildPayload } from "../api/availability.js";
+import { MIN_RENTABLE_GAP_HOURS_DEFAULT, nextAvailableFor } from "../lib/availability.js";
+import { booqableCredentials, createBooqableClient } from "../lib/booqable.js";
+import { invalidate } from "../lib/cache.js";
+import { setNow } from "../lib/clock.js";
+import { createDebug, loadFleetWindow } from "../lib/fleet.js";
+import { getBusinessHours } from "../lib/hours.js";
+
+const SCENARIOS_DIR = fileURLToPath(new URL("../fixtures/scenarios", import.meta.url));
+const WINDOW = { from: null, days: 3 };
+const HOURS = getBusinessHours(null);
+const NO_FILTER = { category: null, location: null };
+
+process.env.BOOQABLE_FIXTURES = "replay";
+process.env.STORE_BACKEND = "memory";
+
+// Expected per car: nextAvailable label, nextAvailableFor's instant (null for
+// "Available now"), the Mon/Tue/Wed tiles and minutes late when overdue.
+// headsUp: every Heads-up tile.
+const EXPECTED = {
+  "late-returns": {
+    cars: {
+      "Jeep Wrangler": {
+        // back 19:30, after closing; the 09:00 pickup leaves no gap
+        nextAvailable: "Thu, 22 Oct 17:00",
+        nextAvailableAt: "2026-10-22T17:00:00+11:00",
+        tiles: ["Booked", "Booked", "Booked"],
+      },
+      "Mini Cooper": {
+        // checked in early: free once the 30 min buffer is over; canceled booking ignored
+        nextAvailable: "Mon, 19 Oct 10:00",
+        nextAvailableAt: "2026-10-19T10:00:00+11:00",
+        tiles: ["Heads-up", "Available", "Available"],
+      },
+      "Mustang Convertible": {
+        // still out, so the 10:00 pickup runs until Wednesday
+        nextAvailable: "Wed, 21 Oct 10:00",
+        nextAvailableAt: "2026-10-21T10:00:00+11:00",
+        tiles: ["Overdue", "Booked", "Heads-up"],
+        minutesLate: 90, // due back 08:00
+      },
+    },
+    headsUp: [
+      // checked in early (by 09:30), not when it was due back at 17:00
+      { car: "Mini Cooper", date: "2026-10-19", backTime: "09:30", freeTime: "10:00" },
+      { car: "Mustang Convertible", date: "2026-10-21", backTime: "10:00", freeTime: "10:00" },
+    ],
+  },
+  "back-to-back": {
+    cars: {
+      "Jeep Wrangler": {
+        nextAvailable: "Available now",
+        nextAvailableAt: null,
+        tiles: ["Available", "Available", "Available"],
+      },
+      "Mini Cooper": {
+        // gaps of 0 and 30 min after the buffer are too short to rent
+        nextAvailable: "Thu, 22 Oct 09:30",
+        nextAvailableAt: "2026-10-22T09:30:00+11:00",
+        tiles: ["Booked", "Booked", "Booked"],
+      },
+      "Mustang Convertible": {
+        // 1h turnaround on Monday is too short to rent
+        nextAvailable: "Wed, 21 Oct 09:00",
+        nextAvailableAt: "2026-10-21T09:00:00+11:00",
+        tiles: ["Booked", "Booked", "Heads-up"],
+      },
+    },
+    headsUp: [{ car: "Mustang Convertible", date: "2026-10-21", backTime: "09:00", freeTime: "09:00" }],
+  },
+  "excluded-addons": {
+    cars: {
+      "Jeep Wrangler": {
+        nextAvailable: "Available now",
+        nextAvailableAt: null,
+        tiles: ["Booked", "Heads-up", "Available"],
+      },
+      "Mini Cooper": {
+        nextAvailable: "Available now",
+        nextAvailableAt: null,
+        tiles: ["Available", "Available", "Booked"],
+      },
+      "Mustang Convertible": {
+        nextAvailable: "Available now",
+        nextAvailableAt: null,
+        tiles: ["Available", "Booked", "Booked"],
+      },
+    },
+    headsUp: [{ car: "Jeep Wrangler", date: "2026-10-20", backTime: "12:00", freeTime: "12:00" }],
+  },
+};
+
+function readMeta(name) {
+  return JSON.parse(fs.readFileSync(path.join(SCENARIOS_DIR, name, "meta.json"), "utf8"));
+}
+
+for (const [name, expected] of Object.entries(EXPECTED)) {
+  describe(`scenario ${name}`, () => {
+    let nowMs;
+    let payload;
+    let fleet;
+
+    before(async () => {
+      process.env.BOOQABLE_FIXTURES_DIR = path.join(SCENARIOS_DIR, name);
+      nowMs = Date.parse(readMeta(name).recordedAt);
+      setNow(nowMs);
+      // The catalog is cached per instance: don't reuse the previous scenario's cars
+      await invalidate("catalog");
+
+      const creds = booqableCredentials();
+      payload = await buildPayload({
+        booqable: createBooqableClient(creds),
+        company: creds.company,
+        windowQuery: WINDOW,
+        minRentableGapHours: MIN_RENTABLE_GAP_HOURS_DEFAULT,
+        hours: HOURS,
+        filter: NO_FILTER,
+      });
+      fleet = await loadFleetWindow(createBooqableClient(creds), WINDOW, createDebug(), NO_FILTER);
+    });
+
+    after(() => setNow(null));
+
+    test("loads every booking for the expected cars", () => {
+      assert.equal(payload.partial, false);
+      assert.deepEqual(
+        payload.days.map((d) => d.label),
+        ["Mon, 19 Oct", "Tue, 20 Oct", "Wed, 21 Oct"]
+      );
+      assert.deepEqual(
+        payload.cars.map((c) => c.name),
+        Object.keys(expected.cars)
+      );
+    });
+
+    test("tiles", () => {
+      for (const car of payload.cars) {
+        assert.deepEqual(
+          car.days.map((d) => d.status),
+          expected.cars[car.name].tiles,
+          car.name
+        );
+      }
+    });
+
+    test("overdue cars", () => {
+      for (const car of payload.cars) {
+        const want = expected.cars[car.name].minutesLate ?? null;
+        assert.equal(car.overdue?.minutesLate ?? null, want, car.name);
+      }
+    });
+
+    test("Heads-up entries", () => {
+      const headsUp = payload.cars.flatMap((car) =>
+        car.days
+          .filter((d) => d.status === "Heads-up")
+          .map((d) => ({ car: car.name, date: d.date, backTime: d.backTime, freeTime: d.freeTime }))
+      );
+      assert.deepEqual(headsUp, expected.headsUp);
+    });
+
+    test("nextAvailableFor", () => {
+      for (const car of fleet.cars) {
+        const want = expected.cars[car.name];
+        const { nextAvailable, nextAvailableAtMs } = nextAvailableFor({
+          ivals: fleet.intervalsByProduct.get(car.id) || [],
+          nowMs,
+          timezone: fleet.timezone,
+          hours: HOURS,
+          minRentableGapHours: MIN_RENTABLE_GAP_HOURS_DEFAULT,
+        });
+        assert.equal(nextAvailable, want.nextAvailable, car.name);
+        assert.equal(
+          nextAvailableAtMs,
+          want.nextAvailableAt && Date.parse(want.nextAvailableAt),
+          car.name
+        );
+        assert.equal(payload.cars.find((c) => c.id === car.id).nextAvailable, want.nextAvailable);
+      }
+    });
+  });
+}
@@ -0,0 +1,83 @@
+// test/snapshots.test.js
+//
+// Change feed across refreshes of the staff page: replays a copy of the
+// late-returns scenario (fixtures/scenarios) and edits its bookings between
+// snapshots. Run with `node --test`.
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, test } from "node:test";
+import { fileURLToPath } from "node:url";
+
+import { buildPayload } from "../api/availability.js";
+import { MIN_RENTABLE_GAP_HOURS_DEFAULT } from "../lib/availability.js";
+import { booqableCredentials, createBooqableClient } from "../lib/booqable.js";
+import { invalidate } from "../lib/cache.js";
+import { setNow } from "../lib/clock.js";
+import { getBusinessHours } from "../lib/hours.js";
+import { SNAPSHOT_WINDOW, changesSince } from "../lib/snapshots.js";
+import { parseWindowQuery } from "../lib/window.js";
+
+const SCENARIO_DIR = fileURLToPath(new URL("../fixtures/scenarios/late-returns", import.meta.url));
+const NO_FILTER = { category: null, location: null };
+
+process.env.BOOQABLE_FIXTURES = "replay";
+process.env.STORE_BACKEND = "memory";
+
+let dir;
+
+function refresh(windowQuery) {
+  const creds = booqableCredentials();
+  return buildPayload({
+    booqable: createBooqableClient(creds),
+    company: creds.company,
+    windowQuery,
+    minRentableGapHours: MIN_RENTABLE_GAP_HOURS_DEFAULT,
+    hours: getBusinessHours(null),
+    filter: NO_FILTER,
+    forceSnapshot: true,
+  });
+}
+
+function cancelPlanning(id) {
+  const file = path.join(dir, "plannings.json");
+  const json = JSON.parse(fs.readFileSync(file, "utf8"));
+  json.data = json.data.filter((p) => p.id !== id);
+  fs.writeFileSync(file, JSON.stringify(json));
+}
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "snapshots-test-"));
+  fs.cpSync(SCENARIO_DIR, dir, { recursive: true });
+  process.env.BOOQABLE_FIXTURES_DIR = dir;
+  const { recordedAt } = JSON.parse(fs.readFileSync(path.join(dir, "meta.json"), "utf8"));
+  setNow(Date.parse(recordedAt));
+  await invalidate("catalog");
+});
+
+after(() => {
+  setNow(null);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("a request for another window doesn't hide changes between default refreshes", async () => {
+  await refresh(SNAPSHOT_WINDOW);
+  const { latest: first } = await changesSince({});
+  assert.ok(first);
+
+  // A look back at September in between must not replace the snapshot
+  await refresh(parseWindowQuery({ from: "2026-09-01", days: "7" }));
+  assert.equal((await changesSince({})).latest.id, first.id);
+
+  cancelPlanning("pl-jeep-next");
+  await refresh(SNAPSHOT_WINDOW);
+
+  const { latest, changes } = await changesSince({ snapshotId: first.id });
+  assert.equal(latest.id, first.id + 1);
+  assert.ok(
+    changes.some((c) => c.kind === "cancelled" && c.planningId === "pl-jeep-next"),
+    JSON.stringify(changes.map((c) => c.kind))
+  );
+});
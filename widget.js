@@ -0,0 +1,41 @@
+// widget.js
+//
+// Embeds the customer availability widget (widget.html) as an iframe that
+// resizes to fit its content.
+//
+//   <script src="https://<this site>/widget.js" data-days="7" data-accent="#e6007e" async></script>
+//
+// Every data-* attribute is passed through to widget.html (see the list of
+// options at the top of that file). data-target="#some-element" places the
+// widget inside that element instead of next to the script tag.
+
+(function () {
+  var script = document.currentScript;
+  if (!script) return;
+
+  var origin = new URL(script.src).origin;
+  var params = new URLSearchParams();
+  Object.keys(script.dataset).forEach(function (key) {
+    if (key !== "target") params.set(key, script.dataset[key]);
+  });
+
+  var iframe = document.createElement("iframe");
+  iframe.src = origin + "/widget.html?" + params.toString();
+  iframe.title = "Car availability";
+  iframe.loading = "lazy";
+  iframe.style.width = "100%";
+  iframe.style.height = "480px";
+  iframe.style.border = "0";
+  iframe.style.display = "block";
+
+  var target = script.dataset.target && document.querySelector(script.dataset.target);
+  if (target) target.appendChild(iframe);
+  else script.parentNode.insertBefore(iframe, script.nextSibling);
+
+  window.addEventListener("message", function (e) {
+    if (e.origin !== origin || e.source !== iframe.contentWindow) return;
+    if (e.data && e.data.type === "bubblegum-widget:height") {
+      iframe.style.height = Math.ceil(e.data.height) + "px";
+    }
+  });
+})();